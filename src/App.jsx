@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from "react";
+import React, { useEffect } from "react";
 import {
   BrowserRouter as Router,
   Routes,
@@ -10,126 +10,119 @@ import Dashboard from "./components/Dashboard";
 import LoginForm from "./components/LoginPage";
 import RegisterForm from "./components/RegisterPage";
 import ProjectDetails from "./components/ProjectDetails";
-import { ProjectProvider, useProjects } from "./context/ProjectContext"; // Add useProjects here
+import DeploymentDetails from "./components/DeploymentDetails";
+import VerifyEmailPage from "./components/VerifyEmailPage";
+import ForgotPasswordPage from "./components/ForgotPasswordPage";
+import ResetPasswordPage from "./components/ResetPasswordPage";
+import GithubCallbackPage from "./components/GithubCallbackPage";
+import SessionExpiredBanner from "./components/SessionExpiredBanner";
+import ActiveDeploymentModal from "./components/ActiveDeploymentModal";
+import { AuthProvider, useAuth } from "./context/AuthContext";
+import { ProjectProvider } from "./context/ProjectContext";
+import api from "./api";
 
 // Create a wrapper component that uses router hooks
 function AppContent() {
   const location = useLocation();
-  const [user, setUser] = useState(null);
-  const [isLoading, setIsLoading] = useState(true);
-
-  // Get fetchProjects from context
-  const { fetchProjects } = useProjects();
+  // The session is owned by AuthContext; projects load once it exists
+  const { user, login, logout } = useAuth();
 
   // Clear any lingering requests on route change
   useEffect(() => {
-    // Cancel any pending axios requests
-    if (window.axiosCancelTokens) {
-      window.axiosCancelTokens.forEach((cancel) => {
-        if (cancel && typeof cancel === "function") {
-          cancel("Route changed");
-        }
-      });
-      window.axiosCancelTokens = [];
-    }
+    // Cancel any pending page-scoped requests
+    api.cancelAll("Route changed");
   }, [location.pathname]);
 
-  // Rest of your existing logic
-  useEffect(() => {
-    // Check if user is logged in
-    const token = localStorage.getItem("token");
-    const userData = localStorage.getItem("user");
-
-    if (token && userData) {
-      setUser(JSON.parse(userData));
-    }
-
-    setIsLoading(false);
-  }, []);
-
-  const handleLogout = () => {
-    localStorage.removeItem("token");
-    localStorage.removeItem("user");
-    setUser(null);
-  };
-
-  const handleLogin = async (userData) => {
-    localStorage.setItem("user", JSON.stringify(userData));
-    setUser(userData);
-
-    // After login is successful and user state is updated,
-    // fetch projects immediately so they're ready when Dashboard loads
-    if (fetchProjects) {
-      try {
-        await fetchProjects();
-      } catch (err) {
-        console.error("Error fetching projects after login:", err);
-        // Don't block the login flow due to project fetch failure
-      }
-    }
-  };
-
-  // Protected route logic
-  if (isLoading) {
-    return <div>Loading...</div>;
-  }
-
   return (
-    <Routes>
-      <Route
-        path="/login"
-        element={
-          user ? (
-            <Navigate to="/dashboard" />
-          ) : (
-            <LoginForm onLogin={handleLogin} />
-          )
-        }
-      />
-      <Route
-        path="/register"
-        element={
-          user ? (
-            <Navigate to="/dashboard" />
-          ) : (
-            <RegisterForm onRegister={handleLogin} />
-          )
-        }
-      />
-      <Route
-        path="/dashboard"
-        element={
-          user ? (
-            <Dashboard user={user} onLogout={handleLogout} />
-          ) : (
-            <Navigate to="/login" />
-          )
-        }
-      />
-      <Route
-        path="/project/:id"
-        element={
-          user ? (
-            <ProjectDetails user={user} onLogout={handleLogout} />
-          ) : (
-            <Navigate to="/login" />
-          )
-        }
-      />
-      <Route
-        path="/"
-        element={<Navigate to={user ? "/dashboard" : "/login"} />}
-      />
-    </Routes>
+    <>
+      <SessionExpiredBanner />
+      <Routes>
+        <Route
+          path="/login"
+          element={
+            user ? <Navigate to="/dashboard" /> : <LoginForm onLogin={login} />
+          }
+        />
+        <Route
+          path="/register"
+          element={
+            user ? (
+              <Navigate to="/dashboard" />
+            ) : (
+              <RegisterForm onRegister={login} />
+            )
+          }
+        />
+        <Route
+          path="/verify-email"
+          element={
+            user ? (
+              <Navigate to="/dashboard" />
+            ) : (
+              <VerifyEmailPage onVerified={login} />
+            )
+          }
+        />
+        <Route
+          path="/forgot-password"
+          element={user ? <Navigate to="/dashboard" /> : <ForgotPasswordPage />}
+        />
+        <Route
+          path="/reset-password/:token"
+          element={user ? <Navigate to="/dashboard" /> : <ResetPasswordPage />}
+        />
+        <Route
+          path="/auth/github/callback"
+          element={<GithubCallbackPage user={user} onLogin={login} />}
+        />
+        <Route
+          path="/dashboard"
+          element={
+            user ? (
+              <Dashboard user={user} onLogout={logout} />
+            ) : (
+              <Navigate to="/login" />
+            )
+          }
+        />
+        <Route
+          path="/project/:id"
+          element={
+            user ? (
+              <ProjectDetails user={user} onLogout={logout} />
+            ) : (
+              <Navigate to="/login" />
+            )
+          }
+        />
+        <Route
+          path="/project/:id/deployments/:deploymentId"
+          element={
+            user ? (
+              <DeploymentDetails user={user} onLogout={logout} />
+            ) : (
+              <Navigate to="/login" />
+            )
+          }
+        />
+        <Route
+          path="/"
+          element={<Navigate to={user ? "/dashboard" : "/login"} />}
+        />
+      </Routes>
+      {user && <ActiveDeploymentModal />}
+    </>
   );
 }
 
 function App() {
   return (
     <Router>
-      <ProjectProvider>
-        <AppContent />
-      </ProjectProvider>
+      <AuthProvider>
+        <ProjectProvider>
+          <AppContent />
+        </ProjectProvider>
+      </AuthProvider>
     </Router>
   );
 }
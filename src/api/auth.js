@@ -0,0 +1,84 @@
+/**
+ * @typedef {object} User
+ * @property {string} id
+ * @property {string} name
+ * @property {string} email
+ */
+
+/**
+ * @typedef {object} Session
+ * @property {string} token Access token, valid for a short time
+ * @property {string} [refreshToken] Exchanged for a new access token
+ * @property {User} user
+ */
+
+/**
+ * @typedef {object} Registration
+ * @property {User} user
+ * @property {boolean} [verificationRequired] The account can't sign in
+ *   until the emailed link is opened
+ * @property {string} [token] Present when no verification is needed
+ * @property {string} [refreshToken]
+ */
+
+/** @param {import("./client").ApiClient} client */
+export const createAuthApi = (client) => ({
+  /** @returns {Promise<Session>} */
+  login: ({ email, password }) =>
+    client.post("/auth/login", { email, password }, { skipAuth: true }),
+
+  /** @returns {Promise<Registration>} */
+  register: ({ name, email, password }) =>
+    client.post(
+      "/auth/register",
+      { name, email, password },
+      { skipAuth: true }
+    ),
+
+  /**
+   * Sign in (or sign up) with the code GitHub returned to the callback page.
+   * @returns {Promise<Session>}
+   */
+  githubLogin: ({ code, redirectUri }) =>
+    client.post(
+      "/auth/github/callback",
+      { code, redirectUri },
+      { skipAuth: true }
+    ),
+
+  /**
+   * Confirm an email address with the token from the verification link.
+   * Signs the user in.
+   * @returns {Promise<Session>}
+   */
+  verifyEmail: (token) =>
+    client.post("/auth/verify-email", { token }, { skipAuth: true }),
+
+  /** Send the verification email again. */
+  resendVerification: (email) =>
+    client.post("/auth/resend-verification", { email }, { skipAuth: true }),
+
+  /** Email a password reset link. Succeeds whether or not the account exists. */
+  requestPasswordReset: (email) =>
+    client.post("/auth/forgot-password", { email }, { skipAuth: true }),
+
+  /** Set a new password with the token from the reset link. */
+  resetPassword: (token, password) =>
+    client.post(
+      "/auth/reset-password",
+      { token, password },
+      { skipAuth: true }
+    ),
+
+  /**
+   * Exchange a refresh token for a new access token. The response may carry
+   * a rotated refresh token.
+   * @returns {Promise<Partial<Session>>}
+   */
+  refresh: (refreshToken) =>
+    client.post("/auth/refresh", { refreshToken }, { skipAuth: true }),
+
+  /** Revoke the refresh token on the server. */
+  logout: (refreshToken) =>
+    client.post("/auth/logout", { refreshToken }, { skipAuth: true }),
+});
@@ -0,0 +1,188 @@
+import axios from "axios";
+
+/**
+ * Error thrown by every API call. Wraps transport failures, non-2xx
+ * responses and `{ status: "error" }` envelopes into one shape so callers
+ * only ever need to read `err.message`.
+ */
+export class ApiError extends Error {
+  /**
+   * @param {string} message
+   * @param {object} [details]
+   * @param {number} [details.status] HTTP status code, if a response arrived
+   * @param {string} [details.code] Machine readable code from the envelope
+   * @param {*} [details.data] Raw response body
+   * @param {boolean} [details.canceled] True when the request was aborted
+   */
+  constructor(message, { status, code, data, canceled = false } = {}) {
+    super(message);
+    this.name = "ApiError";
+    this.status = status;
+    this.code = code;
+    this.data = data;
+    this.canceled = canceled;
+  }
+}
+
+export const isCancel = (err) => Boolean(err?.canceled) || axios.isCancel(err);
+
+// Backend responses look like { status: "success" | "error", message, data }
+const unwrapEnvelope = (response) => {
+  const body = response.data;
+
+  if (body && typeof body === "object" && "status" in body) {
+    if (body.status !== "success") {
+      throw new ApiError(body.message || "Request failed", {
+        status: response.status,
+        code: body.code,
+        data: body,
+      });
+    }
+    return body.data ?? {};
+  }
+
+  return body;
+};
+
+const normalizeError = (err) => {
+  if (err instanceof ApiError) return Promise.reject(err);
+
+  if (axios.isCancel(err)) {
+    return Promise.reject(
+      new ApiError(err.message || "Request canceled", { canceled: true })
+    );
+  }
+
+  const body = err.response?.data;
+  const message =
+    body?.message ||
+    (err.response
+      ? `Request failed with status ${err.response.status}`
+      : "Network error. Please check your connection.");
+
+  return Promise.reject(
+    new ApiError(message, {
+      status: err.response?.status,
+      code: body?.code,
+      data: body,
+    })
+  );
+};
+
+/**
+ * @typedef {object} RequestOptions
+ * @property {object} [params] Query string parameters
+ * @property {AbortSignal} [signal] Abort the request from the caller
+ * @property {boolean} [cancelable] Register the request so `cancelAll`
+ *   aborts it (used for requests that should not outlive a page)
+ * @property {boolean} [skipAuth] Leave out the auth header (login, signup)
+ *   and don't treat a 401 as an expired session
+ */
+
+/**
+ * @typedef {object} ApiClient
+ * @property {(url: string, options?: RequestOptions) => Promise<any>} get
+ * @property {(url: string, body?: any, options?: RequestOptions) => Promise<any>} post
+ * @property {(url: string, body?: any, options?: RequestOptions) => Promise<any>} put
+ * @property {(url: string, body?: any, options?: RequestOptions) => Promise<any>} patch
+ * @property {(url: string, options?: RequestOptions) => Promise<any>} delete
+ * @property {(reason?: string) => void} cancelAll
+ * @property {(handler: ((err: ApiError) => Promise<boolean>) | null, onSessionExpired?: ((err: ApiError) => void) | null) => void} setUnauthorizedHandler
+ * @property {string} baseURL
+ */
+
+/**
+ * Create an HTTP client bound to one backend. Every method resolves with the
+ * unwrapped `data` of the response envelope and rejects with an ApiError.
+ *
+ * @param {object} [config]
+ * @param {string} [config.baseURL] Defaults to VITE_PROD_URL
+ * @param {() => string | null} [config.getToken] Reads the auth token
+ * @param {Function} [config.adapter] Axios adapter, e.g. a fake transport
+ * @returns {ApiClient}
+ */
+export function createApiClient({
+  baseURL = import.meta.env.VITE_PROD_URL,
+  getToken = () => localStorage.getItem("token"),
+  adapter,
+} = {}) {
+  const http = axios.create({ baseURL, withCredentials: true, adapter });
+
+  http.interceptors.request.use((config) => {
+    const token = config.skipAuth ? null : getToken();
+    if (token) {
+      config.headers["x-auth-token"] = token;
+    }
+    return config;
+  });
+
+  http.interceptors.response.use(unwrapEnvelope, normalizeError);
+
+  // Controllers for requests that opted in to bulk cancellation
+  const pending = new Set();
+
+  // Called when an authenticated request gets a 401. Resolves true if the
+  // session was refreshed and the request should be retried.
+  let unauthorizedHandler = null;
+  // Called when a 401 can't be recovered from: the refresh failed, or the
+  // retry with the fresh token was rejected too
+  let sessionExpiredHandler = null;
+
+  const request = async (method, url, data, options = {}) => {
+    const {
+      params,
+      signal,
+      cancelable = false,
+      skipAuth = false,
+      isRetry = false,
+    } = options;
+    let controller = null;
+
+    if (cancelable) {
+      controller = new AbortController();
+      pending.add(controller);
+      signal?.addEventListener("abort", () => controller.abort());
+    }
+
+    try {
+      return await http.request({
+        method,
+        url,
+        data,
+        params,
+        signal: controller ? controller.signal : signal,
+        // Read by the request interceptor, ignored by axios itself
+        skipAuth,
+      });
+    } catch (err) {
+      // Retry once with a fresh token; a second 401 ends the session
+      if (err.status === 401 && !skipAuth && unauthorizedHandler) {
+        const refreshed = !isRetry && (await unauthorizedHandler(err));
+        if (refreshed) {
+          return request(method, url, data, { ...options, isRetry: true });
+        }
+        sessionExpiredHandler?.(err);
+      }
+      throw err;
+    } finally {
+      if (controller) pending.delete(controller);
+    }
+  };
+
+  return {
+    baseURL,
+    get: (url, options) => request("get", url, undefined, options),
+    post: (url, body, options) => request("post", url, body, options),
+    put: (url, body, options) => request("put", url, body, options),
+    patch: (url, body, options) => request("patch", url, body, options),
+    delete: (url, options) => request("delete", url, undefined, options),
+    cancelAll: (reason = "Request canceled") => {
+      pending.forEach((controller) => controller.abort(reason));
+      pending.clear();
+    },
+    setUnauthorizedHandler: (handler, onSessionExpired = null) => {
+      unauthorizedHandler = handler;
+      sessionExpiredHandler = onSessionExpired;
+    },
+  };
+}
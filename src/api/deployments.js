@@ -0,0 +1,67 @@
+/** @param {import("./client").ApiClient} client */
+export const createDeploymentsApi = (client) => ({
+  /** @returns {Promise<import("./projects").Deployment>} */
+  get: async (deploymentId, options) => {
+    const data = await client.get(`/deployment/${deploymentId}`, options);
+    return data.deployment;
+  },
+
+  /**
+   * Start the first deployment of a project.
+   * @returns {Promise<string>} the new deployment id
+   */
+  deploy: async (projectId, options) => {
+    const data = await client.post("/deploy", { projectId }, options);
+    return data.deployment_id;
+  },
+
+  /**
+   * Build a branch as a preview. It gets its own subdomain and never
+   * replaces the live production deployment.
+   * @returns {Promise<string>} the new deployment id
+   */
+  deployPreview: async (projectId, branch, options) => {
+    const data = await client.post(
+      "/deploy",
+      { projectId, branch, target: "preview" },
+      options
+    );
+    return data.deployment_id;
+  },
+
+  /**
+   * Rebuild from an existing deployment.
+   * @returns {Promise<string | undefined>} the new deployment id
+   */
+  redeploy: async (deploymentId, options) => {
+    const data = await client.post("/redeploy", { deploymentId }, options);
+    return data?.deployment_id;
+  },
+
+  /**
+   * Point the project's live URL at an earlier (or later) successful
+   * deployment without rebuilding.
+   * @returns {Promise<import("./projects").Project | undefined>}
+   */
+  promote: async (projectId, deploymentId, options) => {
+    const data = await client.post(
+      `/project/${projectId}/promote`,
+      { deploymentId },
+      options
+    );
+    return data?.project;
+  },
+
+  /**
+   * Abort an in-progress deployment.
+   * @returns {Promise<import("./projects").Deployment | undefined>}
+   */
+  cancel: async (deploymentId, options) => {
+    const data = await client.post(
+      `/deployment/${deploymentId}/cancel`,
+      undefined,
+      options
+    );
+    return data?.deployment;
+  },
+});
@@ -0,0 +1,71 @@
+/**
+ * @typedef {object} DnsRecord
+ * @property {"A" | "AAAA" | "CNAME" | "TXT"} type
+ * @property {string} name Host relative to the zone, "@" for the apex
+ * @property {string} value
+ */
+
+/**
+ * @typedef {object} Domain
+ * @property {string} id
+ * @property {string} name e.g. "www.mysite.com"
+ * @property {boolean} primary Project links use the primary domain
+ * @property {"pending" | "verified" | "failed"} verification DNS check
+ * @property {"pending" | "issued" | "failed"} [ssl] Certificate status,
+ *   only requested once the domain is verified
+ * @property {DnsRecord[]} [records] Records the user has to create
+ * @property {string} [error] Why verification or issuing failed
+ * @property {string} [checkedAt] Last DNS check
+ * @property {string} [createdAt]
+ */
+
+/** @param {import("./client").ApiClient} client */
+export const createDomainsApi = (client) => ({
+  /** @returns {Promise<Domain[]>} */
+  list: async (projectId, options) => {
+    const data = await client.get(`/project/${projectId}/domains`, options);
+    return data.domains ?? [];
+  },
+
+  /** @returns {Promise<Domain>} */
+  add: async (projectId, name, options) => {
+    const data = await client.post(
+      `/project/${projectId}/domains`,
+      { name },
+      options
+    );
+    return data.domain;
+  },
+
+  /** @returns {Promise<void>} */
+  remove: async (projectId, domainId, options) => {
+    await client.delete(`/project/${projectId}/domains/${domainId}`, options);
+  },
+
+  /**
+   * Check DNS now instead of waiting for the next scheduled check.
+   * @returns {Promise<Domain>}
+   */
+  verify: async (projectId, domainId, options) => {
+    const data = await client.post(
+      `/project/${projectId}/domains/${domainId}/verify`,
+      undefined,
+      options
+    );
+    return data.domain;
+  },
+
+  /**
+   * Make a domain the primary one. Returns every domain since the previous
+   * primary changes too.
+   * @returns {Promise<Domain[]>}
+   */
+  setPrimary: async (projectId, domainId, options) => {
+    const data = await client.post(
+      `/project/${projectId}/domains/${domainId}/primary`,
+      undefined,
+      options
+    );
+    return data.domains ?? [];
+  },
+});
@@ -0,0 +1,92 @@
+/**
+ * @typedef {object} GithubRepo
+ * @property {number} id
+ * @property {string} name
+ * @property {string} fullName "owner/name"
+ * @property {string} owner
+ * @property {boolean} private
+ * @property {string} defaultBranch
+ * @property {string} htmlUrl
+ * @property {boolean} [hasAccess] False for private repos the deploy
+ *   service can't clone until access is granted
+ * @property {string} [updatedAt]
+ */
+
+/**
+ * @typedef {object} GithubConnection
+ * @property {boolean} connected
+ * @property {string} [login] GitHub username
+ * @property {string} [avatarUrl]
+ */
+
+/** @param {import("./client").ApiClient} client */
+export const createGithubApi = (client) => ({
+  /**
+   * URL of the backend's OAuth entry point. GitHub sends the user back to
+   * `redirectUri` with a code and the same `state`.
+   * @returns {string}
+   */
+  authorizeUrl: ({ redirectUri, state, scope }) => {
+    const url = new URL(
+      `${client.baseURL}/auth/github`,
+      window.location.origin
+    );
+    url.searchParams.set("redirect_uri", redirectUri);
+    url.searchParams.set("state", state);
+    if (scope) url.searchParams.set("scope", scope);
+    return url.toString();
+  },
+
+  /** @returns {Promise<GithubConnection>} */
+  status: (options) => client.get("/github/status", options),
+
+  /** Link a GitHub account to the signed-in user. */
+  connect: ({ code, redirectUri }) =>
+    client.post("/github/connect", { code, redirectUri }),
+
+  /**
+   * Repositories the connected account can see, most recently pushed first.
+   * @returns {Promise<GithubRepo[]>}
+   */
+  repos: async ({ query, page } = {}, options) => {
+    const data = await client.get("/github/repos", {
+      ...options,
+      params: { q: query || undefined, page },
+    });
+    return data.repos ?? [];
+  },
+
+  /** @returns {Promise<{ name: string }[]>} */
+  branches: async (fullName, options) => {
+    const data = await client.get(
+      `/github/repos/${fullName}/branches`,
+      options
+    );
+    return data.branches ?? [];
+  },
+
+  /**
+   * Entries of one directory in a repository. Works for public repos
+   * without a connected account.
+   * @returns {Promise<{ name: string, type: "file" | "dir" }[]>}
+   */
+  listFiles: async (fullName, { ref, path } = {}, options) => {
+    const data = await client.get(`/github/repos/${fullName}/contents`, {
+      ...options,
+      params: { ref: ref || undefined, path: path || undefined },
+    });
+    return data.entries ?? [];
+  },
+
+  /**
+   * Text content of one file, or null if it doesn't exist.
+   * @returns {Promise<string | null>}
+   */
+  readFile: async (fullName, path, { ref } = {}, options) => {
+    const data = await client.get(`/github/repos/${fullName}/file`, {
+      ...options,
+      params: { ref: ref || undefined, path },
+    });
+    return data.content ?? null;
+  },
+});
@@ -0,0 +1,29 @@
+import { createApiClient, ApiError, isCancel } from "./client";
+import { createAuthApi } from "./auth";
+import { createProjectsApi } from "./projects";
+import { createDeploymentsApi } from "./deployments";
+import { createLogsApi } from "./logs";
+import { createGithubApi } from "./github";
+import { createDomainsApi } from "./domains";
+
+/**
+ * Build the resource API on top of a client. Pass a client created with a
+ * different baseURL or a fake adapter to target another environment.
+ *
+ * @param {import("./client").ApiClient} client
+ */
+export const createApi = (client) => ({
+  auth: createAuthApi(client),
+  projects: createProjectsApi(client),
+  deployments: createDeploymentsApi(client),
+  logs: createLogsApi(client),
+  github: createGithubApi(client),
+  domains: createDomainsApi(client),
+  cancelAll: client.cancelAll,
+  setUnauthorizedHandler: client.setUnauthorizedHandler,
+});
+
+export const api = createApi(createApiClient());
+
+export { createApiClient, ApiError, isCancel };
+export default api;
@@ -0,0 +1,59 @@
+/**
+ * @typedef {object} LogEntry
+ * @property {string} [id]
+ * @property {string} [message]
+ * @property {string} [log] Older deployments store the line here
+ * @property {string} [level]
+ * @property {string} timestamp
+ */
+
+/**
+ * @typedef {object} LogPage
+ * @property {LogEntry[]} logs
+ * @property {string | undefined} cursor Pass back as `since` to get only
+ *   the lines after this page
+ * @property {boolean | null} incremental Whether the server applied `since`
+ *   and sent only newer lines; null when it doesn't say
+ */
+
+// Cursor for the last line of a page when the server doesn't send one.
+// Only ids are unique; several lines can share a timestamp, so resuming
+// after one could skip lines.
+export const getLogCursor = (entry) => entry?.id;
+
+/** @param {import("./client").ApiClient} client */
+export const createLogsApi = (client) => ({
+  /** @returns {Promise<LogPage>} */
+  list: async (deploymentId, { since, ...options } = {}) => {
+    const data = await client.get(`/logs/${deploymentId}`, {
+      ...options,
+      params: since ? { since } : undefined,
+    });
+    const logs = data?.logs || [];
+
+    return {
+      logs,
+      cursor: data?.cursor ?? getLogCursor(logs[logs.length - 1]) ?? since,
+      incremental:
+        typeof data?.incremental === "boolean" ? data.incremental : null,
+    };
+  },
+
+  /**
+   * Server-Sent Events endpoint for a deployment's logs. EventSource can't
+   * send headers, so open it with `withCredentials` and let the session
+   * cookie authenticate it; the token stays out of the URL, where it would
+   * end up in server and proxy logs.
+   * @returns {string}
+   */
+  streamUrl: (deploymentId, since) => {
+    const url = new URL(
+      `${client.baseURL}/logs/${deploymentId}/stream`,
+      window.location.origin
+    );
+
+    if (since) url.searchParams.set("since", since);
+
+    return url.toString();
+  },
+});
@@ -0,0 +1,110 @@
+/**
+ * @typedef {object} Deployment
+ * @property {string} id
+ * @property {string} status
+ * @property {string} [trigger] What started it, e.g. "manual" or "redeploy"
+ * @property {string | {sha: string, message?: string}} [commit]
+ * @property {string} [startedAt]
+ * @property {string} [finishedAt]
+ * @property {object} [config] Build settings the deployment ran with
+ * @property {string} [error] Failure reason, if any
+ * @property {"production" | "preview"} [target] Missing on older
+ *   deployments, which are all production
+ * @property {string} [branch] Branch that was built
+ * @property {{number: number, title?: string, url?: string}} [pullRequest]
+ *   Pull request a preview was built for
+ * @property {string} [url] Where the deployment is served
+ * @property {string} [createdAt]
+ * @property {string} [updatedAt]
+ */
+
+/**
+ * @typedef {object} Project
+ * @property {string} id
+ * @property {string} name
+ * @property {string} gitUrl
+ * @property {string} [branch] Production branch; empty for the repo default
+ * @property {boolean} [previewsEnabled] Build previews for pushes to other
+ *   branches and pull requests
+ * @property {string} [framework] See FRAMEWORKS in utils/buildConfig
+ * @property {"npm" | "yarn" | "pnpm" | "bun"} [packageManager]
+ * @property {string} [rootDirectory] App folder inside the repo; empty for
+ *   the repository root
+ * @property {string} [installCommand]
+ * @property {string} [buildCommand]
+ * @property {string} [outputDirectory] Relative to rootDirectory
+ * @property {string} [environment]
+ * @property {string} [domain] Custom domain entered when the project was
+ *   created; managed through `domains` afterwards
+ * @property {import("./domains").Domain[]} [domains]
+ * @property {string} [subDomain]
+ * @property {import("../utils/envVars").EnvVar[]} [envVars] Secret values
+ *   come back empty with `hasValue` set
+ * @property {Deployment[]} [deployments] Newest first
+ * @property {string} [liveDeploymentId] Deployment the subdomain serves
+ * @property {string} [createdAt]
+ * @property {string} [updatedAt]
+ */
+
+/**
+ * @typedef {object} ProjectStatus
+ * @property {string} currentStatus
+ * @property {Deployment} [latestDeployment]
+ */
+
+/**
+ * @typedef {object} SubdomainAvailability
+ * @property {boolean} available
+ * @property {string} [reason] Why it can't be used
+ * @property {string} [suggestion] A free alternative
+ */
+
+/** @param {import("./client").ApiClient} client */
+export const createProjectsApi = (client) => ({
+  /** @returns {Promise<Project[]>} */
+  list: async (options) => {
+    const data = await client.get("/projects", options);
+    return data.projects || [];
+  },
+
+  /** @returns {Promise<Project>} */
+  get: async (projectId, options) => {
+    const data = await client.get(`/project/${projectId}`, options);
+    return data.project;
+  },
+
+  /** @returns {Promise<Project>} */
+  create: async (projectData, options) => {
+    const data = await client.post("/project", projectData, options);
+    return data.project;
+  },
+
+  /**
+   * Apply a partial update. Only the fields present in `changes` are sent.
+   * @returns {Promise<Project>}
+   */
+  update: async (projectId, changes, options) => {
+    const data = await client.patch(`/project/${projectId}`, changes, options);
+    return data.project;
+  },
+
+  /** @returns {Promise<void>} */
+  remove: async (projectId, options) => {
+    await client.delete(`/project/${projectId}`, options);
+  },
+
+  /**
+   * Whether a subdomain is free. Pass `projectId` when renaming so the
+   * project's own subdomain counts as available.
+   * @returns {Promise<SubdomainAvailability>}
+   */
+  checkSubdomain: (subDomain, { projectId } = {}, options) =>
+    client.get("/subdomains/check", {
+      ...options,
+      params: { name: subDomain, projectId: projectId || undefined },
+    }),
+
+  /** @returns {Promise<ProjectStatus>} */
+  status: (projectId, options) =>
+    client.get(`/project/${projectId}/status`, options),
+});
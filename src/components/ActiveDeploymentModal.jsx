@@ -0,0 +1,31 @@
+import React from "react";
+import DeploymentModal from "./DeploymentModal";
+import { useProjects } from "../context/ProjectContext";
+
+// Rendered once at the app root so any page can open the live logs of a
+// deployment with setActiveDeployment
+function ActiveDeploymentModal() {
+  const { activeDeployment, setActiveDeployment, handleDeploymentComplete } =
+    useProjects();
+
+  if (!activeDeployment) return null;
+
+  const { projectId, projectName, deploymentId } = activeDeployment;
+
+  return (
+    <DeploymentModal
+      key={`${projectId}-${deploymentId}`}
+      projectId={projectId}
+      projectName={projectName}
+      deploymentId={deploymentId}
+      // Only follow existing deployments, never start one
+      initialDeployment
+      onClose={() => setActiveDeployment(null)}
+      onComplete={(status) =>
+        handleDeploymentComplete(status, projectId, deploymentId)
+      }
+    />
+  );
+}
+
+export default ActiveDeploymentModal;
@@ -0,0 +1,130 @@
+import React, { useState, useEffect, useMemo } from "react";
+import { groupLogsBySteps, getStepDuration } from "../utils/buildSteps";
+import { formatDuration } from "../utils/deploymentFormat";
+import { parseLogEntry } from "../utils/logFormat";
+
+// Expanded steps show their tail; the full log is in the panel below
+const MAX_STEP_LINES = 200;
+
+const STEP_ICONS = {
+  pending: { icon: "○", className: "text-gray-400" },
+  running: { icon: "⟳", className: "text-blue-600 animate-pulse" },
+  success: { icon: "✓", className: "text-green-600" },
+  failure: { icon: "✗", className: "text-red-600" },
+  cancelled: { icon: "⊘", className: "text-gray-500" },
+  skipped: { icon: "–", className: "text-gray-400" },
+};
+
+// Clone / install / build / upload steps of a deployment with how long each
+// took. The failing step opens on its own so the error is the first thing
+// you see. Renders nothing for logs without step markers.
+function BuildTimeline({ logs, state }) {
+  const steps = useMemo(() => groupLogsBySteps(logs, state), [logs, state]);
+  const [expanded, setExpanded] = useState({});
+  const [now, setNow] = useState(() => Date.now());
+
+  const isRunning = steps.some((step) => step.status === "running");
+  const failedStep = steps.find((step) => step.status === "failure")?.value;
+
+  // Tick the running step's duration
+  useEffect(() => {
+    if (!isRunning) return;
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [isRunning]);
+
+  useEffect(() => {
+    if (failedStep) {
+      setExpanded((prev) => ({ ...prev, [failedStep]: true }));
+    }
+  }, [failedStep]);
+
+  if (steps.length === 0) return null;
+
+  const toggle = (value) =>
+    setExpanded((prev) => ({ ...prev, [value]: !prev[value] }));
+
+  return (
+    <div className="border-b border-gray-200 bg-white divide-y divide-gray-100 text-sm">
+      {steps.map((step) => {
+        const { icon, className } = STEP_ICONS[step.status];
+        const canExpand = step.logs.length > 0;
+        const isOpen = canExpand && expanded[step.value];
+        const shownLogs = step.logs.slice(-MAX_STEP_LINES);
+
+        return (
+          <div key={step.value}>
+            <button
+              type="button"
+              onClick={() => toggle(step.value)}
+              disabled={!canExpand}
+              aria-expanded={isOpen}
+              className="w-full flex items-center px-3 py-2 text-left hover:bg-gray-50 disabled:cursor-default disabled:hover:bg-white"
+            >
+              <span className="w-4 text-gray-400 text-xs">
+                {canExpand ? (isOpen ? "▾" : "▸") : ""}
+              </span>
+              <span className={`w-5 text-center ${className}`}>{icon}</span>
+              <span
+                className={`ml-2 font-medium ${
+                  step.status === "pending" || step.status === "skipped"
+                    ? "text-gray-400"
+                    : "text-gray-800"
+                }`}
+              >
+                {step.label}
+              </span>
+              {step.status === "skipped" && (
+                <span className="ml-2 text-xs text-gray-400">Skipped</span>
+              )}
+              {step.errorCount > 0 && (
+                <span className="ml-2 px-1.5 rounded text-xs bg-red-100 text-red-700">
+                  {step.errorCount} {step.errorCount === 1 ? "error" : "errors"}
+                </span>
+              )}
+              <span className="ml-auto text-xs text-gray-500 font-mono">
+                {step.startedAt
+                  ? formatDuration(getStepDuration(step, now))
+                  : ""}
+              </span>
+            </button>
+
+            {isOpen && (
+              <div className="bg-gray-50 max-h-60 overflow-auto font-mono text-xs px-3 py-2">
+                {step.logs.length > shownLogs.length && (
+                  <p className="text-gray-500 mb-1">
+                    Showing the last {shownLogs.length} of {step.logs.length}{" "}
+                    lines
+                  </p>
+                )}
+                {shownLogs.map((log, i) => {
+                  const { text, level } = parseLogEntry(log);
+                  const line = step.endLine - shownLogs.length + i + 1;
+                  return (
+                    <div
+                      key={line}
+                      className={`flex whitespace-pre ${
+                        level === "error"
+                          ? "text-red-700"
+                          : level === "warn"
+                          ? "text-yellow-800"
+                          : "text-gray-700"
+                      }`}
+                    >
+                      <span className="w-12 shrink-0 pr-3 text-right text-gray-400 select-none">
+                        {line}
+                      </span>
+                      <span>{text}</span>
+                    </div>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+export default BuildTimeline;
@@ -1,8 +1,29 @@
 import React, { useState, useEffect } from "react";
-import { useNavigate } from "react-router-dom";
+import { useNavigate, useSearchParams } from "react-router-dom";
 import DeployForm from "./DeployForm";
-import DeploymentModal from "./DeploymentModal";
+import ProjectCard from "./ProjectCard";
 import { useProjects } from "../context/ProjectContext";
+import {
+  getProductionDeployments,
+  getProjectStatus,
+  getStatusColor,
+  getStatusLabel,
+  isActiveState,
+} from "../utils/deploymentState";
+import {
+  SORT_OPTIONS,
+  STATUS_FILTERS,
+  filterProjects,
+  parseProjectQuery,
+  toProjectQuery,
+} from "../utils/projectFilters";
+
+// Grid or list, remembered across visits
+const LAYOUT_KEY = "dashboardLayout";
+const LAYOUTS = [
+  { value: "list", label: "List" },
+  { value: "grid", label: "Grid" },
+];
 
 function Dashboard({ user, onLogout }) {
   const {
@@ -10,19 +31,50 @@ function Dashboard({ user, onLogout }) {
     isLoading,
     error,
     fetchProjects, // Add this
-    createProject,
-    activeDeployment,
+    updateProject,
+    rebuildProject,
     setActiveDeployment,
-    shouldShowDeploymentModal,
-    setShouldShowDeploymentModal,
-    handleDeploymentComplete,
   } = useProjects();
 
   const [showDeployForm, setShowDeployForm] = useState(false);
   const [showEditForm, setShowEditForm] = useState(false);
   const [currentProjectToEdit, setCurrentProjectToEdit] = useState(null);
+  const [layout, setLayout] = useState(() =>
+    localStorage.getItem(LAYOUT_KEY) === "grid" ? "grid" : "list"
+  );
+  // Ids of projects with a rebuild request in flight
+  const [rebuildingIds, setRebuildingIds] = useState({});
+  const [actionError, setActionError] = useState(null);
   const navigate = useNavigate();
 
+  useEffect(() => {
+    localStorage.setItem(LAYOUT_KEY, layout);
+  }, [layout]);
+
+  // Search, filters and sort live in the URL so views can be shared
+  const [searchParams, setSearchParams] = useSearchParams();
+  const view = parseProjectQuery(searchParams);
+  const visibleProjects = filterProjects(projects, view);
+  const isFiltered = Boolean(view.query || view.statuses.length);
+  // Skeletons only until the first load; later refreshes keep the list up
+  const showSkeletons = isLoading && !projects?.length;
+  const emptyMessage =
+    isFiltered && projects?.length > 0
+      ? "No projects match these filters."
+      : 'No projects found. Click "New Project" to create one.';
+
+  const updateView = (changes) =>
+    setSearchParams(toProjectQuery({ ...view, ...changes }), {
+      replace: true,
+    });
+
+  const toggleStatus = (status) =>
+    updateView({
+      statuses: view.statuses.includes(status)
+        ? view.statuses.filter((s) => s !== status)
+        : [...view.statuses, status],
+    });
+
   // Add force refresh when coming from deletion
   useEffect(() => {
     // Force a fresh fetch of projects when dashboard mounts
@@ -45,33 +97,17 @@ function Dashboard({ user, onLogout }) {
     };
   }, []);
 
-  // Handle adding a new project
-  const handleAddProject = async (projectData) => {
+  const handleRebuild = async (project) => {
     try {
-      await createProject(projectData);
-      setShowDeployForm(false);
-      return { success: true };
+      setRebuildingIds((prev) => ({ ...prev, [project.id]: true }));
+      setActionError(null);
+      await rebuildProject(project.id);
     } catch (err) {
-      return {
-        success: false,
-        error: err.message || "Failed to add project",
-      };
-    }
-  };
-
-  // Helper function to determine status color
-  const getStatusColor = (status) => {
-    if (!status) return "text-gray-500";
-
-    switch (status.toLowerCase()) {
-      case "success":
-        return "text-green-500";
-      case "running":
-        return "text-yellow-500";
-      case "failure":
-        return "text-red-500";
-      default:
-        return "text-gray-500";
+      setActionError(
+        `Failed to rebuild ${project.name}: ${err.message || "unknown error"}`
+      );
+    } finally {
+      setRebuildingIds((prev) => ({ ...prev, [project.id]: false }));
     }
   };
 
@@ -140,127 +176,226 @@ function Dashboard({ user, onLogout }) {
           </button>
         </div>
 
-        <div className="bg-white rounded-lg shadow overflow-hidden">
-          <ul className="divide-y divide-gray-200">
-            {isLoading ? (
-              Array(4)
+        <div className="mb-4 flex flex-wrap items-center gap-3">
+          <input
+            type="search"
+            value={view.query}
+            onChange={(e) => updateView({ query: e.target.value })}
+            placeholder="Search by name, repository or domain"
+            className="flex-1 min-w-[16rem] px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <div className="flex items-center space-x-1">
+            {STATUS_FILTERS.map((filter) => {
+              const selected = view.statuses.includes(filter.value);
+              return (
+                <button
+                  key={filter.value}
+                  type="button"
+                  onClick={() => toggleStatus(filter.value)}
+                  aria-pressed={selected}
+                  className={`px-3 py-1 text-sm rounded-full border ${
+                    selected
+                      ? "bg-blue-600 border-blue-600 text-white"
+                      : "border-gray-300 text-gray-700 hover:bg-gray-100"
+                  }`}
+                >
+                  {filter.label}
+                </button>
+              );
+            })}
+          </div>
+          <label className="flex items-center text-sm text-gray-600">
+            Sort by
+            <select
+              value={view.sort}
+              onChange={(e) => updateView({ sort: e.target.value })}
+              className="ml-2 px-2 py-1 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {SORT_OPTIONS.map((option) => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </label>
+          <div className="flex border border-gray-300 rounded-md overflow-hidden">
+            {LAYOUTS.map((option) => (
+              <button
+                key={option.value}
+                type="button"
+                onClick={() => setLayout(option.value)}
+                aria-pressed={layout === option.value}
+                className={`px-3 py-1 text-sm ${
+                  layout === option.value
+                    ? "bg-gray-800 text-white"
+                    : "bg-white text-gray-700 hover:bg-gray-100"
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        </div>
+
+        {actionError && (
+          <div className="mb-4 bg-red-50 text-red-700 p-3 rounded border border-red-300">
+            {actionError}
+          </div>
+        )}
+
+        {isFiltered && !isLoading && (
+          <p className="mb-2 text-sm text-gray-500">
+            Showing {visibleProjects.length} of {projects.length} projects.{" "}
+            <button
+              type="button"
+              onClick={() => updateView({ query: "", statuses: [] })}
+              className="text-blue-600 hover:underline"
+            >
+              Clear filters
+            </button>
+          </p>
+        )}
+
+        {layout === "grid" ? (
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-6">
+            {showSkeletons ? (
+              Array(6)
                 .fill()
                 .map((_, index) => (
-                  <ProjectSkeleton key={`skeleton-${index}`} />
+                  <div
+                    key={`card-skeleton-${index}`}
+                    className="bg-white p-5 rounded-lg shadow-md animate-pulse"
+                  >
+                    <div className="h-5 bg-gray-200 rounded w-1/2 mb-4"></div>
+                    <div className="h-4 bg-gray-200 rounded w-3/4 mb-2"></div>
+                    <div className="h-4 bg-gray-200 rounded w-1/2"></div>
+                  </div>
                 ))
-            ) : projects?.length > 0 ? (
-              projects.map((project) => (
-                <li
+            ) : visibleProjects.length > 0 ? (
+              visibleProjects.map((project) => (
+                <ProjectCard
                   key={project.id}
-                  className="border-b border-gray-200 last:border-b-0"
-                >
-                  <div className="flex items-center justify-between p-4 hover:bg-gray-50">
-                    <div
-                      onClick={() => {
-                        navigate(`/project/${project.id}`);
-                      }}
-                      className="flex-grow flex items-center justify-between cursor-pointer"
-                    >
-                      <div className="min-w-0 flex-1">
-                        <h3 className="text-lg font-medium text-gray-900">
-                          {project.name}
-                        </h3>
-                        <div className="mt-1 flex items-center flex-wrap">
-                          <span
-                            className={`inline-block mr-2 ${getStatusColor(
-                              project?.deployments?.[0]?.status || "Not Started"
-                            )}`}
-                          >
-                            {project?.deployments?.[0]?.status || "Not Started"}
-                            {project?.deployments?.[0]?.status ===
-                              "running" && (
-                              <span className="ml-1 inline-block animate-pulse">
-                                ⟳
-                              </span>
-                            )}
-                          </span>
-                          <span className="text-sm text-gray-500 mr-2">
-                            Last updated:{" "}
-                            {new Date(
-                              project.updatedAt || project.createdAt
-                            ).toLocaleString()}
-                          </span>
-                          {project?.deployments?.[0]?.status === "running" && (
-                            <button
-                              onClick={(e) => {
-                                e.stopPropagation();
-                                setActiveDeployment({
-                                  projectId: project.id,
-                                  projectName: project.name,
-                                });
-                              }}
-                              className="mt-1 text-xs px-2 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-200"
+                  project={project}
+                  onOpen={() => navigate(`/project/${project.id}`)}
+                  onRebuild={() => handleRebuild(project)}
+                  isRebuilding={Boolean(rebuildingIds[project.id])}
+                />
+              ))
+            ) : (
+              <div className="col-span-full bg-white rounded-lg shadow p-4 text-center text-gray-500">
+                {emptyMessage}
+              </div>
+            )}
+          </div>
+        ) : (
+          <div className="bg-white rounded-lg shadow overflow-hidden">
+            <ul className="divide-y divide-gray-200">
+              {showSkeletons ? (
+                Array(4)
+                  .fill()
+                  .map((_, index) => (
+                    <ProjectSkeleton key={`skeleton-${index}`} />
+                  ))
+              ) : visibleProjects.length > 0 ? (
+                visibleProjects.map((project) => (
+                  <li
+                    key={project.id}
+                    className="border-b border-gray-200 last:border-b-0"
+                  >
+                    <div className="flex items-center justify-between p-4 hover:bg-gray-50">
+                      <div
+                        onClick={() => {
+                          navigate(`/project/${project.id}`);
+                        }}
+                        className="flex-grow flex items-center justify-between cursor-pointer"
+                      >
+                        <div className="min-w-0 flex-1">
+                          <h3 className="text-lg font-medium text-gray-900">
+                            {project.name}
+                          </h3>
+                          <div className="mt-1 flex items-center flex-wrap">
+                            <span
+                              className={`inline-block mr-2 ${getStatusColor(
+                                getProjectStatus(project)
+                              )}`}
                             >
-                              View Logs
-                            </button>
-                          )}
+                              {getStatusLabel(getProjectStatus(project))}
+                              {isActiveState(getProjectStatus(project)) && (
+                                <span className="ml-1 inline-block animate-pulse">
+                                  ⟳
+                                </span>
+                              )}
+                            </span>
+                            <span className="text-sm text-gray-500 mr-2">
+                              Last updated:{" "}
+                              {new Date(
+                                project.updatedAt || project.createdAt
+                              ).toLocaleString()}
+                            </span>
+                            {isActiveState(getProjectStatus(project)) && (
+                              <button
+                                onClick={(e) => {
+                                  e.stopPropagation();
+                                  setActiveDeployment({
+                                    projectId: project.id,
+                                    projectName: project.name,
+                                    deploymentId:
+                                      getProductionDeployments(project)[0]?.id,
+                                  });
+                                }}
+                                className="mt-1 text-xs px-2 py-1 bg-blue-100 text-blue-700 rounded hover:bg-blue-200"
+                              >
+                                View Logs
+                              </button>
+                            )}
+                          </div>
+                        </div>
+                        <div>
+                          <svg
+                            xmlns="http://www.w3.org/2000/svg"
+                            className="h-5 w-5 text-gray-400"
+                            fill="none"
+                            viewBox="0 0 24 24"
+                            stroke="currentColor"
+                          >
+                            <path
+                              strokeLinecap="round"
+                              strokeLinejoin="round"
+                              strokeWidth={2}
+                              d="M9 5l7 7-7 7"
+                            />
+                          </svg>
                         </div>
                       </div>
-                      <div>
-                        <svg
-                          xmlns="http://www.w3.org/2000/svg"
-                          className="h-5 w-5 text-gray-400"
-                          fill="none"
-                          viewBox="0 0 24 24"
-                          stroke="currentColor"
-                        >
-                          <path
-                            strokeLinecap="round"
-                            strokeLinejoin="round"
-                            strokeWidth={2}
-                            d="M9 5l7 7-7 7"
-                          />
-                        </svg>
-                      </div>
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          setCurrentProjectToEdit(project);
+                          setShowEditForm(true);
+                        }}
+                        className="ml-4 py-1 px-3 border border-blue-600 text-blue-600 rounded hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50"
+                      >
+                        Edit
+                      </button>
                     </div>
-                    <button
-                      onClick={(e) => {
-                        e.stopPropagation();
-                        setCurrentProjectToEdit(project);
-                        setShowEditForm(true);
-                      }}
-                      className="ml-4 py-1 px-3 border border-blue-600 text-blue-600 rounded hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50"
-                    >
-                      Edit
-                    </button>
-                  </div>
+                  </li>
+                ))
+              ) : (
+                <li className="p-4 text-center text-gray-500">
+                  {emptyMessage}
                 </li>
-              ))
-            ) : (
-              <li className="p-4 text-center text-gray-500">
-                No projects found. Click "New Project" to create one.
-              </li>
-            )}
-          </ul>
-        </div>
+              )}
+            </ul>
+          </div>
+        )}
       </div>
 
       {/* Modal for DeployForm */}
       {showDeployForm && (
         <div className="fixed inset-0 bg-gray-600 bg-opacity-75 flex items-center justify-center z-50">
           <div className="w-full max-w-lg mx-4">
-            <DeployForm
-              onSubmit={async (formData) => {
-                try {
-                  const result = await createProject(formData);
-
-                  // Close the form
-                  setShowDeployForm(false);
-
-                  // The context should handle showing the deployment modal
-                  // No need to do anything else here
-                } catch (err) {
-                  console.error("Error creating project:", err);
-                  // Error will be shown in the form
-                }
-              }}
-              onCancel={() => setShowDeployForm(false)}
-            />
+            {/* Creates the project and opens its page to follow the build */}
+            <DeployForm onCancel={() => setShowDeployForm(false)} />
           </div>
         </div>
       )}
@@ -271,9 +406,13 @@ function Dashboard({ user, onLogout }) {
           <div className="w-full max-w-lg mx-4">
             <DeployForm
               existingProject={currentProjectToEdit}
-              onSubmit={async (projectData) => {
+              onSubmit={async (projectData, options) => {
                 try {
-                  await updateProject(currentProjectToEdit.id, projectData);
+                  await updateProject(
+                    currentProjectToEdit.id,
+                    projectData,
+                    options
+                  );
                   setShowEditForm(false);
                   return { success: true };
                 } catch (err) {
@@ -288,16 +427,6 @@ function Dashboard({ user, onLogout }) {
           </div>
         </div>
       )}
-
-      {/* Deployment Modal with Live Logs */}
-      {activeDeployment && (
-        <DeploymentModal
-          projectId={activeDeployment.projectId}
-          projectName={activeDeployment.projectName}
-          onClose={() => setActiveDeployment(null)}
-          onComplete={handleDeploymentComplete}
-        />
-      )}
     </div>
   );
 }
@@ -1,38 +1,206 @@
-import React, { useState } from "react";
+import React, { useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
 import { useProjects } from "../context/ProjectContext";
+import RepoPicker from "./RepoPicker";
+import DetectedSettings from "./DetectedSettings";
+import useFrameworkDetection from "../hooks/useFrameworkDetection";
+import useSubdomainAvailability from "../hooks/useSubdomainAvailability";
+import { ROOT_DOMAIN, slugify } from "../utils/domains";
+import {
+  FRAMEWORKS,
+  PACKAGE_MANAGERS,
+  applyBuildDefaults,
+  withBuildDefaults,
+} from "../utils/buildConfig";
+import {
+  ENVIRONMENTS,
+  getChangedFields,
+  hasBuildChanges,
+  validateProjectFields,
+} from "../utils/projectFields";
 
-function DeployForm({ onCancel, existingProject = null }) {
+// `focusField` is the id of a field to focus when the form opens, e.g.
+// "buildCommand" when following a failure hint
+function DeployForm({
+  onSubmit,
+  onCancel,
+  existingProject = null,
+  focusField = null,
+}) {
   const navigate = useNavigate();
   const { createProject, updateProject } = useProjects();
 
-  const [formData, setFormData] = useState({
-    name: existingProject?.name || "",
-    gitUrl: existingProject?.gitUrl || "",
-    buildCommand: existingProject?.buildCommand || "npm run build",
-    environment: existingProject?.environment || "node:18",
-    domain: existingProject?.domain || "",
+  const [formData, setFormData] = useState(() => {
+    // Projects created before the build settings existed get the defaults
+    const config = withBuildDefaults(existingProject || {});
+
+    return {
+      name: existingProject?.name || "",
+      subDomain: existingProject?.subDomain || "",
+      gitUrl: existingProject?.gitUrl || "",
+      branch: existingProject?.branch || "",
+      previewsEnabled: Boolean(existingProject?.previewsEnabled),
+      framework: config.framework,
+      packageManager: config.packageManager,
+      rootDirectory: config.rootDirectory,
+      installCommand: config.installCommand,
+      buildCommand: config.buildCommand,
+      outputDirectory: config.outputDirectory,
+      environment: existingProject?.environment || "node:18",
+      domain: existingProject?.domain || "",
+    };
   });
 
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [redeploy, setRedeploy] = useState(true);
+  const [confirmRename, setConfirmRename] = useState(false);
+  // New projects follow the detected build settings until the user
+  // overrides them
+  const [useDetected, setUseDetected] = useState(true);
+
+  const {
+    detection,
+    isDetecting,
+    error: detectionError,
+  } = useFrameworkDetection({
+    gitUrl: formData.gitUrl,
+    branch: formData.branch,
+    rootDirectory: formData.rootDirectory,
+    enabled: !existingProject,
+  });
+
+  useEffect(() => {
+    if (!detection || !useDetected) return;
+
+    setFormData((prev) => ({ ...prev, ...detection.settings }));
+    setFieldErrors((prev) => {
+      const next = { ...prev };
+      Object.keys(detection.settings).forEach((key) => delete next[key]);
+      return next;
+    });
+  }, [detection, useDetected]);
+
+  useEffect(() => {
+    if (!focusField) return;
+    const field = document.getElementById(focusField);
+    field?.scrollIntoView({ block: "center" });
+    field?.focus();
+  }, [focusField]);
+
+  const availability = useSubdomainAvailability(formData.subDomain, {
+    projectId: existingProject?.id,
+    currentSubDomain: existingProject?.subDomain,
+  });
+  // Renaming takes the old URL offline, so it has to be confirmed. An empty
+  // field isn't a rename; validation reports it on submit.
+  const newSubDomain = formData.subDomain.trim();
+  const isRenaming =
+    !!existingProject?.subDomain &&
+    !!newSubDomain &&
+    newSubDomain !== existingProject.subDomain;
+  // The confirmation is offered unless the new name can't be used; if the
+  // check itself failed the server has the final say on submit
+  const canConfirmRename =
+    isRenaming && ["available", "error"].includes(availability.status);
+  const subDomainBlockReason =
+    availability.status === "checking"
+      ? "Checking subdomain availability..."
+      : availability.status === "taken"
+      ? "Choose an available subdomain."
+      : availability.status === "invalid"
+      ? "Fix the subdomain to continue."
+      : isRenaming && !confirmRename
+      ? "Confirm the subdomain change to continue."
+      : null;
+  const subDomainBlocked = Boolean(subDomainBlockReason);
+
+  // Only offer a redeploy when editing something that affects the build
+  const buildSettingsChanged =
+    !!existingProject &&
+    hasBuildChanges(
+      getChangedFields(withBuildDefaults(existingProject), formData)
+    );
 
   const handleChange = (e) => {
     const { name, value } = e.target;
+    if (detection && name in detection.settings) setUseDetected(false);
     setFormData((prev) => ({ ...prev, [name]: value }));
+    setFieldErrors((prev) => ({ ...prev, [name]: undefined }));
+  };
+
+  // Framework and package manager also update the commands and output
+  // directory that still hold their defaults
+  const handleToolingChange = (e) => {
+    const { name, value } = e.target;
+    if (detection) setUseDetected(false);
+    setFormData((prev) => applyBuildDefaults(prev, { [name]: value }));
+    setFieldErrors((prev) => ({
+      ...prev,
+      [name]: undefined,
+      installCommand: undefined,
+      buildCommand: undefined,
+      outputDirectory: undefined,
+    }));
   };
 
+  const handleSubDomainChange = (value) => {
+    setFormData((prev) => ({ ...prev, subDomain: value.toLowerCase() }));
+    setFieldErrors((prev) => ({ ...prev, subDomain: undefined }));
+    setConfirmRename(false);
+  };
+
+  // Filled in by the repository picker
+  const handlePickerChange = (changes) => {
+    setFormData((prev) => ({ ...prev, ...changes }));
+    setFieldErrors((prev) => ({
+      ...prev,
+      gitUrl: undefined,
+      branch: undefined,
+    }));
+  };
+
+  const inputClass = (field) =>
+    `w-full px-3 py-2 border rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+      fieldErrors[field] ? "border-red-500" : "border-gray-300"
+    }`;
+
+  const renderFieldError = (field) =>
+    fieldErrors[field] && (
+      <p className="mt-1 text-sm text-red-600">{fieldErrors[field]}</p>
+    );
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
+    const errors = validateProjectFields(formData, existingProject || {});
+    if (!errors.subDomain && availability.status === "taken") {
+      errors.subDomain = availability.message;
+    }
+    if (Object.keys(errors).length > 0) {
+      setFieldErrors(errors);
+      setError("Please fix the highlighted fields.");
+      return;
+    }
+
     try {
       setIsLoading(true);
       setError("");
 
       if (existingProject) {
-        // Update existing project
-        await updateProject(existingProject.id, formData);
-        onCancel();
+        const options = { redeploy: buildSettingsChanged && redeploy };
+
+        // Let the parent handle the update when it owns the project state
+        if (onSubmit) {
+          const result = await onSubmit(formData, options);
+          if (result && !result.success) {
+            throw new Error(result.error || "Failed to update project");
+          }
+        } else {
+          await updateProject(existingProject.id, formData, options);
+          onCancel();
+        }
       } else {
         const result = await createProject(formData);
 
@@ -42,6 +210,7 @@ function DeployForm({ onCancel, existingProject = null }) {
       }
     } catch (err) {
       console.error("Error in form submission:", err);
+      setFieldErrors(err.fieldErrors || {});
       setError(err.message || "Failed to process request");
     } finally {
       setIsLoading(false);
@@ -75,12 +244,90 @@ function DeployForm({ onCancel, existingProject = null }) {
               name="name"
               value={formData.name}
               onChange={handleChange}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              className={inputClass("name")}
               required
               placeholder="My Awesome Project"
             />
+            {renderFieldError("name")}
           </div>
 
+          <div>
+            <label
+              htmlFor="subDomain"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Subdomain
+            </label>
+            <div className="flex items-center">
+              <input
+                type="text"
+                id="subDomain"
+                name="subDomain"
+                value={formData.subDomain}
+                onChange={(e) => handleSubDomainChange(e.target.value)}
+                className={`${inputClass("subDomain")} font-mono`}
+                placeholder={slugify(formData.name) || "my-app"}
+                autoComplete="off"
+              />
+              <span className="ml-2 text-sm text-gray-500">.{ROOT_DOMAIN}</span>
+            </div>
+            {availability.status !== "idle" && !fieldErrors.subDomain && (
+              <p
+                className={`mt-1 text-sm ${
+                  availability.status === "available"
+                    ? "text-green-600"
+                    : availability.status === "checking"
+                    ? "text-gray-500"
+                    : "text-red-600"
+                }`}
+              >
+                {availability.message}
+                {availability.suggestion && (
+                  <button
+                    type="button"
+                    onClick={() =>
+                      handleSubDomainChange(availability.suggestion)
+                    }
+                    className="ml-2 text-blue-600 hover:underline"
+                  >
+                    Use {availability.suggestion}
+                  </button>
+                )}
+              </p>
+            )}
+            {!existingProject && !formData.subDomain && (
+              <p className="mt-1 text-xs text-gray-500">
+                Leave empty to generate one from the project name
+              </p>
+            )}
+            {renderFieldError("subDomain")}
+            {canConfirmRename && (
+              <div className="mt-2 flex items-start bg-yellow-50 border border-yellow-200 p-3 rounded">
+                <input
+                  id="confirmRename"
+                  type="checkbox"
+                  checked={confirmRename}
+                  onChange={(e) => setConfirmRename(e.target.checked)}
+                  className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded"
+                />
+                <label
+                  htmlFor="confirmRename"
+                  className="ml-2 text-sm text-gray-700"
+                >
+                  {existingProject.subDomain}.{ROOT_DOMAIN} will stop working
+                  right away and won't redirect. Update any links or bookmarks
+                  that use it. Custom domains are not affected.
+                </label>
+              </div>
+            )}
+          </div>
+
+          <RepoPicker
+            gitUrl={formData.gitUrl}
+            onChange={handlePickerChange}
+            branchListId="branch-options"
+          />
+
           <div>
             <label
               htmlFor="gitUrl"
@@ -94,10 +341,154 @@ function DeployForm({ onCancel, existingProject = null }) {
               name="gitUrl"
               value={formData.gitUrl}
               onChange={handleChange}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              className={inputClass("gitUrl")}
               required
               placeholder="https://github.com/username/repo"
             />
+            {renderFieldError("gitUrl")}
+          </div>
+
+          <div>
+            <label
+              htmlFor="branch"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Production Branch
+            </label>
+            <input
+              type="text"
+              id="branch"
+              name="branch"
+              list="branch-options"
+              value={formData.branch}
+              onChange={handleChange}
+              className={inputClass("branch")}
+              placeholder="Default branch"
+            />
+            {renderFieldError("branch")}
+          </div>
+
+          <div className="flex items-start">
+            <input
+              id="previewsEnabled"
+              name="previewsEnabled"
+              type="checkbox"
+              checked={formData.previewsEnabled}
+              onChange={(e) =>
+                setFormData((prev) => ({
+                  ...prev,
+                  previewsEnabled: e.target.checked,
+                }))
+              }
+              className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded"
+            />
+            <label
+              htmlFor="previewsEnabled"
+              className="ml-2 text-sm text-gray-700"
+            >
+              Deploy previews for other branches and pull requests. Each gets
+              its own subdomain and never replaces the live site.
+            </label>
+          </div>
+
+          {!existingProject && (
+            <DetectedSettings
+              detection={detection}
+              isDetecting={isDetecting}
+              error={detectionError}
+              applied={useDetected}
+              onApply={() => setUseDetected(true)}
+              onOverride={() => setUseDetected(false)}
+            />
+          )}
+
+          <div className="grid grid-cols-2 gap-4">
+            <div>
+              <label
+                htmlFor="framework"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Framework
+              </label>
+              <select
+                id="framework"
+                name="framework"
+                value={formData.framework}
+                onChange={handleToolingChange}
+                className={inputClass("framework")}
+              >
+                {FRAMEWORKS.map((framework) => (
+                  <option key={framework.value} value={framework.value}>
+                    {framework.label}
+                  </option>
+                ))}
+              </select>
+              {renderFieldError("framework")}
+            </div>
+
+            <div>
+              <label
+                htmlFor="packageManager"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Package Manager
+              </label>
+              <select
+                id="packageManager"
+                name="packageManager"
+                value={formData.packageManager}
+                onChange={handleToolingChange}
+                className={inputClass("packageManager")}
+              >
+                {PACKAGE_MANAGERS.map((pm) => (
+                  <option key={pm.value} value={pm.value}>
+                    {pm.label}
+                  </option>
+                ))}
+              </select>
+              {renderFieldError("packageManager")}
+            </div>
+          </div>
+
+          <div>
+            <label
+              htmlFor="rootDirectory"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Root Directory
+            </label>
+            <input
+              type="text"
+              id="rootDirectory"
+              name="rootDirectory"
+              value={formData.rootDirectory}
+              onChange={handleChange}
+              className={inputClass("rootDirectory")}
+              placeholder="./ (repository root)"
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              For monorepos, the folder that contains the app, e.g. apps/web
+            </p>
+            {renderFieldError("rootDirectory")}
+          </div>
+
+          <div>
+            <label
+              htmlFor="installCommand"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Install Command
+            </label>
+            <input
+              type="text"
+              id="installCommand"
+              name="installCommand"
+              value={formData.installCommand}
+              onChange={handleChange}
+              className={inputClass("installCommand")}
+              placeholder="npm install"
+            />
+            {renderFieldError("installCommand")}
           </div>
 
           <div>
@@ -113,9 +504,32 @@ function DeployForm({ onCancel, existingProject = null }) {
               name="buildCommand"
               value={formData.buildCommand}
               onChange={handleChange}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              className={inputClass("buildCommand")}
               placeholder="npm run build"
             />
+            {renderFieldError("buildCommand")}
+          </div>
+
+          <div>
+            <label
+              htmlFor="outputDirectory"
+              className="block text-sm font-medium text-gray-700 mb-1"
+            >
+              Output Directory
+            </label>
+            <input
+              type="text"
+              id="outputDirectory"
+              name="outputDirectory"
+              value={formData.outputDirectory}
+              onChange={handleChange}
+              className={inputClass("outputDirectory")}
+              placeholder="dist"
+            />
+            <p className="mt-1 text-xs text-gray-500">
+              Relative to the root directory
+            </p>
+            {renderFieldError("outputDirectory")}
           </div>
 
           <div>
@@ -130,35 +544,64 @@ function DeployForm({ onCancel, existingProject = null }) {
               name="environment"
               value={formData.environment}
               onChange={handleChange}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              className={inputClass("environment")}
             >
-              <option value="node:16">Node.js 16</option>
-              <option value="node:18">Node.js 18</option>
-              <option value="node:20">Node.js 20</option>
-              <option value="python:3.10">Python 3.10</option>
-              <option value="python:3.11">Python 3.11</option>
+              {ENVIRONMENTS.map((env) => (
+                <option key={env.value} value={env.value}>
+                  {env.label}
+                </option>
+              ))}
             </select>
+            {renderFieldError("environment")}
           </div>
 
-          <div>
-            <label
-              htmlFor="domain"
-              className="block text-sm font-medium text-gray-700 mb-1"
-            >
-              Custom Domain (Optional)
-            </label>
-            <input
-              type="text"
-              id="domain"
-              name="domain"
-              value={formData.domain}
-              onChange={handleChange}
-              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
-              placeholder="mysite.com"
-            />
-          </div>
+          {/* Existing projects manage domains from the Domains panel */}
+          {!existingProject && (
+            <div>
+              <label
+                htmlFor="domain"
+                className="block text-sm font-medium text-gray-700 mb-1"
+              >
+                Custom Domain (Optional)
+              </label>
+              <input
+                type="text"
+                id="domain"
+                name="domain"
+                value={formData.domain}
+                onChange={handleChange}
+                className={inputClass("domain")}
+                placeholder="mysite.com"
+              />
+              <p className="mt-1 text-xs text-gray-500">
+                The project page shows the DNS records to add once it's created
+              </p>
+              {renderFieldError("domain")}
+            </div>
+          )}
+
+          {buildSettingsChanged && (
+            <div className="flex items-start bg-yellow-50 border border-yellow-200 p-3 rounded">
+              <input
+                id="redeploy"
+                type="checkbox"
+                checked={redeploy}
+                onChange={(e) => setRedeploy(e.target.checked)}
+                className="mt-1 h-4 w-4 text-blue-600 border-gray-300 rounded"
+              />
+              <label htmlFor="redeploy" className="ml-2 text-sm text-gray-700">
+                Redeploy after saving. The live site keeps the old build
+                settings until the project is rebuilt.
+              </label>
+            </div>
+          )}
 
-          <div className="flex justify-end space-x-3 pt-4">
+          <div className="flex items-center justify-end space-x-3 pt-4">
+            {subDomainBlockReason && !isLoading && (
+              <p className="mr-auto text-sm text-gray-500">
+                {subDomainBlockReason}
+              </p>
+            )}
             <button
               type="button"
               onClick={onCancel}
@@ -168,9 +611,11 @@ function DeployForm({ onCancel, existingProject = null }) {
             </button>
             <button
               type="submit"
-              disabled={isLoading}
+              disabled={isLoading || subDomainBlocked}
               className={`px-4 py-2 rounded-md text-white ${
-                isLoading ? "bg-blue-400" : "bg-blue-600 hover:bg-blue-700"
+                isLoading || subDomainBlocked
+                  ? "bg-blue-400"
+                  : "bg-blue-600 hover:bg-blue-700"
               }`}
             >
               {isLoading
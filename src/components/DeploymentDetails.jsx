@@ -0,0 +1,234 @@
+import React, { useState, useEffect } from "react";
+import { useParams, Link } from "react-router-dom";
+import LogViewer from "./LogViewer";
+import { useProjects } from "../context/ProjectContext";
+import api from "../api";
+import {
+  getStatusColor,
+  getStatusLabel,
+  isPreviewDeployment,
+} from "../utils/deploymentState";
+import {
+  formatDuration,
+  formatTimestamp,
+  getDeploymentCommit,
+  getDeploymentDuration,
+  getDeploymentTrigger,
+  getFinishedAt,
+  getStartedAt,
+} from "../utils/deploymentFormat";
+
+// Build settings shown in the config snapshot, in display order
+const CONFIG_FIELDS = [
+  { key: "gitUrl", label: "Repository" },
+  { key: "branch", label: "Branch" },
+  { key: "framework", label: "Framework" },
+  { key: "rootDirectory", label: "Root Directory" },
+  { key: "installCommand", label: "Install Command" },
+  { key: "buildCommand", label: "Build Command" },
+  { key: "outputDirectory", label: "Output Directory" },
+  { key: "environment", label: "Environment" },
+];
+
+function DeploymentDetails({ user, onLogout }) {
+  const { id: projectId, deploymentId } = useParams();
+  const { getProjectById } = useProjects();
+
+  const [project, setProject] = useState(null);
+  const [deployment, setDeployment] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadDeployment = async () => {
+      try {
+        setIsLoading(true);
+        setError(null);
+
+        const projectData = await getProjectById(projectId);
+        if (cancelled) return;
+        setProject(projectData);
+
+        // Older deployments may not be included with the project
+        const cached = projectData?.deployments?.find(
+          (d) => d.id === deploymentId
+        );
+        const deploymentData =
+          cached || (await api.deployments.get(deploymentId));
+
+        if (!cancelled) setDeployment(deploymentData);
+      } catch (err) {
+        if (cancelled) return;
+        console.error("Error loading deployment:", err);
+        setError(err.message || "Failed to load deployment");
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadDeployment();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [projectId, deploymentId, getProjectById]);
+
+  // Only block the page on the first load so LogViewer stays mounted
+  if (isLoading && !deployment) {
+    return (
+      <div className="flex justify-center items-center min-h-screen">
+        <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
+        <p className="ml-2">Loading deployment...</p>
+      </div>
+    );
+  }
+
+  if (error || !deployment) {
+    return (
+      <div className="min-h-screen flex items-center justify-center p-4">
+        <div className="bg-red-50 border border-red-300 text-red-700 p-4 rounded max-w-md w-full">
+          <h2 className="font-medium">Deployment Not Found</h2>
+          <p className="mt-2">
+            {error || "Could not load this deployment. It may not exist."}
+          </p>
+          <Link
+            to={`/project/${projectId}`}
+            className="mt-4 inline-block px-4 py-2 bg-blue-600 text-white rounded"
+          >
+            Back to Project
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const commit = getDeploymentCommit(deployment);
+  // Fall back to the project's current settings for older deployments
+  // that were recorded without a snapshot
+  const config = deployment.config || deployment.configSnapshot || {};
+  const hasSnapshot = Object.keys(config).length > 0;
+  const snapshot = hasSnapshot ? config : project || {};
+
+  const outcome = [
+    { label: "Status", value: getStatusLabel(deployment.status, "Unknown") },
+    {
+      label: "Target",
+      value: isPreviewDeployment(deployment)
+        ? `Preview (${deployment.branch || "unknown branch"})`
+        : "Production",
+    },
+    { label: "Trigger", value: getDeploymentTrigger(deployment) },
+    { label: "Commit", value: commit.sha || "—", mono: true },
+    { label: "Started", value: formatTimestamp(getStartedAt(deployment)) },
+    { label: "Finished", value: formatTimestamp(getFinishedAt(deployment)) },
+    {
+      label: "Duration",
+      value: formatDuration(getDeploymentDuration(deployment)),
+    },
+  ];
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <header className="bg-white py-4 px-6 shadow">
+        <div className="max-w-7xl mx-auto flex justify-between items-center">
+          <Link
+            to={`/project/${projectId}`}
+            className="text-gray-600 hover:text-gray-900"
+          >
+            ← Back to {project?.name || "Project"}
+          </Link>
+          <h1 className="text-2xl font-bold text-gray-800">
+            Deployment <span className="font-mono">{deploymentId}</span>
+          </h1>
+          <div className="flex items-center">
+            <span className="mr-4 text-gray-600">Welcome, {user?.name}</span>
+            <button
+              onClick={onLogout}
+              className="py-2 px-4 border border-red-600 text-red-600 rounded hover:bg-red-50 focus:outline-none focus:ring-2 focus:ring-red-500 focus:ring-opacity-50"
+            >
+              Logout
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <div className="max-w-7xl mx-auto py-6 px-4 sm:px-6 lg:px-8 grid grid-cols-1 lg:grid-cols-4 gap-6">
+        <div className="lg:col-span-1 space-y-6">
+          <div className="bg-white p-6 rounded-lg shadow">
+            <h3 className="text-lg font-semibold text-gray-800 mb-4">
+              Outcome
+            </h3>
+            {outcome.map(({ label, value, mono }) => (
+              <div
+                key={label}
+                className="flex justify-between py-3 border-b border-gray-200"
+              >
+                <span className="text-gray-600">{label}:</span>
+                <span
+                  className={`${mono ? "font-mono text-sm" : ""} ${
+                    label === "Status"
+                      ? `font-medium ${getStatusColor(deployment.status)}`
+                      : ""
+                  }`}
+                >
+                  {value}
+                </span>
+              </div>
+            ))}
+            {commit.message && (
+              <p className="mt-3 text-sm text-gray-600">{commit.message}</p>
+            )}
+            {deployment.error && (
+              <div className="mt-4 bg-red-50 border border-red-200 text-red-700 p-3 rounded text-sm">
+                {deployment.error}
+              </div>
+            )}
+          </div>
+
+          <div className="bg-white p-6 rounded-lg shadow">
+            <h3 className="text-lg font-semibold text-gray-800 mb-4">
+              Configuration
+            </h3>
+            {!hasSnapshot && (
+              <p className="mb-2 text-xs text-gray-500">
+                No snapshot was recorded for this deployment. Showing the
+                project's current settings.
+              </p>
+            )}
+            {CONFIG_FIELDS.filter(({ key }) => snapshot[key]).map(
+              ({ key, label }) => (
+                <div
+                  key={key}
+                  className="flex justify-between py-3 border-b border-gray-200"
+                >
+                  <span className="text-gray-600">{label}:</span>
+                  <span className="font-mono text-sm bg-gray-100 px-2 py-1 rounded truncate max-w-xs">
+                    {snapshot[key]}
+                  </span>
+                </div>
+              )
+            )}
+          </div>
+        </div>
+
+        <div className="lg:col-span-3">
+          <div className="bg-white p-6 rounded-lg shadow">
+            <h3 className="text-lg font-semibold text-gray-800 mb-4">
+              Deployment Logs
+            </h3>
+            <LogViewer
+              deploymentId={deploymentId}
+              projectId={projectId}
+              initialStatus={deployment.status}
+              key={`log-${deploymentId}`}
+            />
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default DeploymentDetails;
@@ -0,0 +1,220 @@
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import {
+  getStatusColor,
+  getStatusLabel,
+  isActiveState,
+  isPreviewDeployment,
+  normalizeStatus,
+} from "../utils/deploymentState";
+import {
+  formatDuration,
+  formatTimestamp,
+  getDeploymentCommit,
+  getDeploymentDuration,
+  getDeploymentTrigger,
+  getFinishedAt,
+  getStartedAt,
+  shortId,
+  shortSha,
+} from "../utils/deploymentFormat";
+
+const FILTERS = [
+  { value: "all", label: "All" },
+  { value: "production", label: "Production" },
+  { value: "preview", label: "Preview" },
+];
+
+function DeploymentHistory({
+  projectId,
+  deployments = [],
+  liveDeploymentId = null,
+  productionBranch = "",
+  promotingId = null,
+  onPromote,
+}) {
+  const navigate = useNavigate();
+  const [filter, setFilter] = useState("all");
+
+  const hasPreviews = deployments.some(isPreviewDeployment);
+  const visible =
+    filter === "all"
+      ? deployments
+      : deployments.filter(
+          (d) => isPreviewDeployment(d) === (filter === "preview")
+        );
+
+  // Deployments are newest first, so anything after the live one is older
+  const liveIndex = deployments.findIndex((d) => d.id === liveDeploymentId);
+
+  if (deployments.length === 0) {
+    return (
+      <div className="p-4 border border-gray-200 rounded-md text-gray-500">
+        No deployments yet.
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {hasPreviews && (
+        <div className="mb-3 flex space-x-1">
+          {FILTERS.map(({ value, label }) => (
+            <button
+              key={value}
+              onClick={() => setFilter(value)}
+              className={`text-sm px-3 py-1 rounded ${
+                filter === value
+                  ? "bg-blue-100 text-blue-700"
+                  : "text-gray-600 hover:bg-gray-100"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+      <div className="overflow-x-auto border border-gray-200 rounded-md">
+        <table className="min-w-full divide-y divide-gray-200 text-sm">
+          <thead className="bg-gray-50">
+            <tr>
+              {[
+                "Deployment",
+                "Branch",
+                "Trigger",
+                "Commit",
+                "Status",
+                "Duration",
+                "Started",
+                "Finished",
+                "",
+              ].map((heading) => (
+                <th
+                  key={heading || "actions"}
+                  className="px-4 py-2 text-left text-xs font-medium text-gray-500 uppercase tracking-wider"
+                >
+                  {heading}
+                </th>
+              ))}
+            </tr>
+          </thead>
+          <tbody className="bg-white divide-y divide-gray-200">
+            {visible.map((deployment) => {
+              const index = deployments.indexOf(deployment);
+              const commit = getDeploymentCommit(deployment);
+              const isLive = deployment.id === liveDeploymentId;
+              const isPreview = isPreviewDeployment(deployment);
+              // Previews are built with preview settings and never go live
+              const canPromote =
+                onPromote &&
+                !isLive &&
+                !isPreview &&
+                normalizeStatus(deployment.status) === "success";
+              const action =
+                liveIndex !== -1 && index > liveIndex ? "Rollback" : "Promote";
+
+              return (
+                <tr
+                  key={deployment.id || `deployment-${index}`}
+                  onClick={() =>
+                    deployment.id &&
+                    navigate(
+                      `/project/${projectId}/deployments/${deployment.id}`
+                    )
+                  }
+                  className="hover:bg-gray-50 cursor-pointer"
+                >
+                  <td className="px-4 py-2 font-mono text-gray-900">
+                    {shortId(deployment.id)}
+                    {index === 0 && (
+                      <span className="ml-2 text-xs px-2 py-0.5 bg-blue-100 text-blue-700 rounded">
+                        Latest
+                      </span>
+                    )}
+                    {isLive && (
+                      <span className="ml-2 text-xs px-2 py-0.5 bg-green-100 text-green-700 rounded">
+                        Live
+                      </span>
+                    )}
+                    {isPreview && (
+                      <span className="ml-2 text-xs px-2 py-0.5 bg-purple-100 text-purple-700 rounded">
+                        Preview
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 font-mono text-gray-600">
+                    {deployment.branch ||
+                      (!isPreview && productionBranch) ||
+                      "—"}
+                    {deployment.pullRequest?.number && (
+                      <span className="ml-1 text-xs text-purple-700">
+                        #{deployment.pullRequest.number}
+                      </span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-gray-600">
+                    {getDeploymentTrigger(deployment)}
+                  </td>
+                  <td
+                    className="px-4 py-2 font-mono text-gray-600"
+                    title={commit.message || ""}
+                  >
+                    {shortSha(commit.sha)}
+                  </td>
+                  <td
+                    className={`px-4 py-2 font-medium ${getStatusColor(
+                      deployment.status
+                    )}`}
+                  >
+                    {getStatusLabel(deployment.status, "Unknown")}
+                    {isActiveState(deployment.status) && (
+                      <span className="ml-1 inline-block animate-pulse">⟳</span>
+                    )}
+                  </td>
+                  <td className="px-4 py-2 text-gray-600">
+                    {formatDuration(getDeploymentDuration(deployment))}
+                  </td>
+                  <td className="px-4 py-2 text-gray-600 whitespace-nowrap">
+                    {formatTimestamp(getStartedAt(deployment))}
+                  </td>
+                  <td className="px-4 py-2 text-gray-600 whitespace-nowrap">
+                    {formatTimestamp(getFinishedAt(deployment))}
+                  </td>
+                  <td className="px-4 py-2 text-right">
+                    {canPromote && (
+                      <button
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          onPromote(deployment, action);
+                        }}
+                        disabled={Boolean(promotingId)}
+                        className={`text-xs px-2 py-1 border rounded ${
+                          action === "Rollback"
+                            ? "border-yellow-600 text-yellow-700 hover:bg-yellow-50"
+                            : "border-blue-600 text-blue-600 hover:bg-blue-50"
+                        } ${
+                          promotingId ? "opacity-50 cursor-not-allowed" : ""
+                        }`}
+                      >
+                        {promotingId === deployment.id
+                          ? "Switching..."
+                          : action}
+                      </button>
+                    )}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+        {visible.length === 0 && (
+          <p className="p-4 text-sm text-gray-500">
+            No {filter} deployments yet.
+          </p>
+        )}
+      </div>
+    </div>
+  );
+}
+
+export default DeploymentHistory;
@@ -1,5 +1,18 @@
-import React, { useState, useEffect, useRef, useMemo } from "react";
-import axios from "axios";
+import React, { useState, useEffect, useMemo, useRef } from "react";
+import api from "../api";
+import LogPanel from "./LogPanel";
+import BuildTimeline from "./BuildTimeline";
+import FailureDiagnosis from "./FailureDiagnosis";
+import { useProjects } from "../context/ProjectContext";
+import useLogStream from "../hooks/useLogStream";
+import useDeploymentStatus from "../hooks/useDeploymentStatus";
+import {
+  getStatusBadgeClass,
+  getStatusColor,
+  getStatusLabel,
+  isActiveState,
+} from "../utils/deploymentState";
+import { diagnoseFailure } from "../utils/failureDiagnosis";
 
 function DeploymentModal({
   projectId,
@@ -10,270 +23,109 @@ function DeploymentModal({
   isRedeployment = false, // Add this new prop to indicate if it's a redeployment
   initialDeployment = false, // Add this prop with default value
 }) {
-  const [logs, setLogs] = useState([]);
-  const [deploymentStatus, setDeploymentStatus] = useState("running");
   const [error, setError] = useState(null);
-  const [autoScroll, setAutoScroll] = useState(true);
-  const [lastLogCount, setLastLogCount] = useState(0);
-  const [pollCount, setPollCount] = useState(0);
   const [isInitialLoading, setIsInitialLoading] = useState(true);
   const [currentDeploymentId, setCurrentDeploymentId] = useState(deploymentId);
-  const [deploymentFinished, setDeploymentFinished] = useState(false);
-  const logEndRef = useRef(null);
-  const pollingInterval = useRef(null);
-  const logContainerRef = useRef(null);
-  const projectRefreshed = useRef(false);
+  const [isCancelling, setIsCancelling] = useState(false);
+  const [wasCancelled, setWasCancelled] = useState(false);
+  const completedRef = useRef(false);
+
+  // Same stream and lifecycle model as LogViewer
+  const { logs, finish: finishLogStream } = useLogStream(currentDeploymentId);
+  const {
+    state: deploymentStatus,
+    latestDeploymentId,
+    error: statusError,
+  } = useDeploymentStatus({
+    projectId,
+    deploymentId: currentDeploymentId,
+    logs,
+    initialStatus: wasCancelled ? "cancelled" : "running",
+  });
+
+  const { projects, cancelDeployment } = useProjects();
+
+  const project = projects.find((p) => p.id === projectId);
+  const failureHints = useMemo(
+    () =>
+      deploymentStatus === "failure" ? diagnoseFailure(logs, project) : [],
+    [deploymentStatus, logs, project]
+  );
 
-  // Scroll to bottom of logs automatically if autoScroll is enabled
-  const scrollToBottom = () => {
-    if (autoScroll && logEndRef.current) {
-      logEndRef.current.scrollIntoView({ behavior: "smooth" });
-    }
-  };
+  const handleCancel = async () => {
+    if (!window.confirm("Cancel this deployment?")) return;
 
-  // Detect manual scroll to toggle autoScroll
-  const handleScroll = (e) => {
-    const element = e.target;
-    const isScrolledToBottom =
-      Math.abs(
-        element.scrollHeight - element.scrollTop - element.clientHeight
-      ) < 50;
-    setAutoScroll(isScrolledToBottom);
+    try {
+      setIsCancelling(true);
+      await cancelDeployment(projectId, currentDeploymentId);
+      setWasCancelled(true);
+    } catch (err) {
+      console.error("Error cancelling deployment:", err);
+      setError(err.message || "Failed to cancel deployment");
+    } finally {
+      setIsCancelling(false);
+    }
   };
 
-  // Scroll when logs update and autoScroll is enabled
-  useEffect(() => {
-    scrollToBottom();
-  }, [logs]);
-
   // Add this useEffect to update currentDeploymentId when props change
   useEffect(() => {
-    if (deploymentId && deploymentId !== currentDeploymentId) {
+    if (deploymentId) {
       setCurrentDeploymentId(deploymentId);
     }
-  }, [deploymentId, currentDeploymentId]);
+  }, [deploymentId]);
 
-  // Simplified useEffect for deployment start
+  // Follow the latest deployment if we weren't given one
   useEffect(() => {
-    const controller = new AbortController();
-    let isMounted = true;
-
-    const startDeployment = async () => {
-      try {
-        setIsInitialLoading(true);
-
-        // ONLY start a new deployment if ALL these conditions are met:
-        // 1. No deploymentId was provided
-        // 2. Not a redeployment
-        // 3. Not an initial deployment
-        // 4. We explicitly want to deploy
-        const shouldStartNewDeployment =
-          !deploymentId && !isRedeployment && !initialDeployment && projectId;
-
-        if (shouldStartNewDeployment) {
-          const deployResponse = await axios.post(
-            `${import.meta.env.VITE_PROD_URL}/deploy`,
-            { projectId },
-            {
-              withCredentials: true,
-              headers: { "x-auth-token": localStorage.getItem("token") },
-            }
-          );
+    if (latestDeploymentId) {
+      setCurrentDeploymentId((current) => current || latestDeploymentId);
+      setIsInitialLoading(false);
+    }
+  }, [latestDeploymentId]);
 
-          if (deployResponse.data.status !== "success") {
-            throw new Error(
-              deployResponse.data.message || "Failed to start deployment"
-            );
-          }
-        } else {
-          console.log(
-            `Using existing deployment, NOT triggering new deploy. deploymentId: ${deploymentId}, isRedeployment: ${isRedeployment}, initialDeployment: ${initialDeployment}`
-          );
-        }
+  useEffect(() => {
+    let cancelled = false;
 
-        // Always fetch status and logs, regardless of whether we started a new deployment
-        await fetchDeploymentStatus();
-        setIsInitialLoading(false);
+    const startDeployment = async () => {
+      // ONLY start a new deployment if ALL these conditions are met:
+      // 1. No deploymentId was provided
+      // 2. Not a redeployment
+      // 3. Not an initial deployment
+      // 4. We explicitly want to deploy
+      const shouldStartNewDeployment =
+        !deploymentId && !isRedeployment && !initialDeployment && projectId;
+
+      if (!shouldStartNewDeployment) {
+        if (deploymentId) setIsInitialLoading(false);
+        return;
+      }
 
-        // Continue with polling...
+      try {
+        const newDeploymentId = await api.deployments.deploy(projectId);
+        if (!cancelled) setCurrentDeploymentId(newDeploymentId);
       } catch (err) {
-        // Error handling...
+        if (cancelled) return;
+        console.error("Error starting deployment:", err);
+        setError(err.message || "Failed to start deployment");
+      } finally {
+        if (!cancelled) setIsInitialLoading(false);
       }
     };
 
     startDeployment();
 
     return () => {
-      isMounted = false;
-      controller.abort();
-      if (pollingInterval.current) {
-        clearInterval(pollingInterval.current);
-        pollingInterval.current = null;
-      }
+      cancelled = true;
     };
-  }, [projectId, deploymentId, isRedeployment, initialDeployment]); // Don't include other dependencies
+  }, [projectId, deploymentId, isRedeployment, initialDeployment]);
 
-  // Adjust polling frequency based on activity
+  // Call onComplete ONLY ONCE when the deployment reaches a terminal state
   useEffect(() => {
-    // After initial polls, if log count isn't changing, slow down polling
-    if (pollCount > 5 && logs.length === lastLogCount) {
-      if (pollingInterval.current) {
-        clearInterval(pollingInterval.current);
-        pollingInterval.current = setInterval(fetchDeploymentStatus, 8000);
-      }
-    }
-
-    // Update last log count
-    setLastLogCount(logs.length);
-  }, [pollCount, logs.length]);
-
-  // Update fetchDeploymentStatus to prevent errors
-  const fetchDeploymentStatus = async () => {
-    // Prevent execution if we've already cleared the interval
-    if (!pollingInterval.current) return;
-
-    try {
-      const statusResponse = await axios.get(
-        `${import.meta.env.VITE_PROD_URL}/project/${projectId}/status`,
-        {
-          withCredentials: true,
-          headers: {
-            "x-auth-token": `${localStorage.getItem("token")}`,
-          },
-        }
-      );
-
-      if (statusResponse.data.status !== "success") {
-        throw new Error(
-          statusResponse.data.message || "Failed to get deployment status"
-        );
-      }
-
-      const newStatus = statusResponse.data.data.currentStatus.toLowerCase();
-      if (deploymentStatus !== newStatus) {
-        console.log(`Status changed from ${deploymentStatus} to ${newStatus}`);
-        setDeploymentStatus(newStatus);
-      }
-
-      // Determine which deployment ID to use for logs
-      let logsDeploymentId = currentDeploymentId;
-      if (!logsDeploymentId && statusResponse.data.data.latestDeployment?.id) {
-        logsDeploymentId = statusResponse.data.data.latestDeployment.id;
-        console.log(`Setting current deployment ID to ${logsDeploymentId}`);
-        setCurrentDeploymentId(logsDeploymentId);
-      }
-
-      // Skip log fetch if we don't have a deployment ID
-      if (!logsDeploymentId) {
-        console.warn("No deployment ID available for logs fetch");
-        return;
-      }
-
-      console.log(`Fetching logs for deployment ${logsDeploymentId}`);
-
-      const logsResponse = await axios.get(
-        `${import.meta.env.VITE_PROD_URL}/logs/${logsDeploymentId}`,
-        {
-          withCredentials: true,
-          headers: {
-            "x-auth-token": `${localStorage.getItem("token")}`,
-          },
-        }
-      );
-
-      if (logsResponse.data.status !== "success") {
-        throw new Error(
-          logsResponse.data.message || "Failed to fetch deployment logs"
-        );
-      }
-
-      // Check the correct path for logs in your API response
-      const newLogs = logsResponse.data.data?.logs || [];
-      console.log(`Fetched ${newLogs.length} logs`);
-
-      // Check if we have a "done" log message
-      const hasDoneLog = newLogs.some(
-        (log) =>
-          log.message?.toLowerCase().includes("done") ||
-          log.log?.toLowerCase().includes("done")
-      );
-
-      // If we found a "done" log and haven't refreshed the project yet
-      if (hasDoneLog && !projectRefreshed.current) {
-        console.log("Found 'done' log, refreshing project data");
-        projectRefreshed.current = true;
-        setDeploymentFinished(true);
-
-        if (pollingInterval.current) {
-          clearInterval(pollingInterval.current);
-          pollingInterval.current = null;
-        }
-
-        // Call onComplete ONLY ONCE when we find the done log
-        console.log(`Calling onComplete with status: ${newStatus}`);
-        onComplete && onComplete(newStatus);
-
-        // Don't set any other completion callbacks below
-      } else {
-        // Update logs
-        setLogs(newLogs);
-      }
-    } catch (err) {
-      console.error("Error in fetchDeploymentStatus:", err);
-      setError(err.message || "Failed to get deployment status");
-
-      // Clear interval on error
-      if (pollingInterval.current) {
-        clearInterval(pollingInterval.current);
-        pollingInterval.current = null;
-      }
-    }
-  };
+    if (isActiveState(deploymentStatus) || completedRef.current) return;
 
-  // Function to get status color
-  const getStatusColor = (status) => {
-    switch (status) {
-      case "success":
-        return "text-green-600";
-      case "running":
-      case "queued":
-        return "text-yellow-600";
-      case "failure":
-        return "text-red-600";
-      default:
-        return "text-gray-600";
-    }
-  };
-
-  // Function to get log level color
-  const getLogLevelColor = (level) => {
-    switch (level?.toLowerCase()) {
-      case "error":
-        return "text-red-600";
-      case "warn":
-      case "warning":
-        return "text-yellow-600";
-      case "info":
-        return "text-blue-600";
-      default:
-        return "text-gray-600";
-    }
-  };
-
-  // Memoize logs to prevent unnecessary re-renders
-  const memoizedLogs = useMemo(() => {
-    return logs.map((log, idx) => (
-      <div key={`log-${idx}`} className="py-1 whitespace-pre-wrap">
-        <span className="text-gray-500">
-          [{new Date(log.timestamp).toLocaleTimeString()}]
-        </span>{" "}
-        <span className={getLogLevelColor(log.level)}>
-          {log.level || "INFO"}:
-        </span>{" "}
-        <span>{log.message || log.log}</span>
-      </div>
-    ));
-  }, [logs]);
+    completedRef.current = true;
+    finishLogStream();
+    onComplete && onComplete(deploymentStatus);
+  }, [deploymentStatus, onComplete, finishLogStream]);
 
   return (
     <div className="fixed inset-0 bg-gray-800 bg-opacity-75 flex items-center justify-center z-50">
@@ -284,19 +136,18 @@ function DeploymentModal({
           </h2>
           <div className="flex items-center">
             <span
-              className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium mr-2 transition-colors duration-300 ease-in-out ${
-                deploymentStatus === "success"
-                  ? "bg-green-100 text-green-800"
-                  : deploymentStatus === "failure"
-                  ? "bg-red-100 text-red-800"
-                  : "bg-yellow-100 text-yellow-800"
-              }`}
+              className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium mr-2 transition-colors duration-300 ease-in-out ${getStatusBadgeClass(
+                deploymentStatus
+              )}`}
             >
               {deploymentStatus === "success"
-                ? "✓ Success"
+                ? "✓ "
                 : deploymentStatus === "failure"
-                ? "✗ Failed"
-                : "⟳ Running"}
+                ? "✗ "
+                : isActiveState(deploymentStatus)
+                ? "⟳ "
+                : ""}
+              {getStatusLabel(deploymentStatus)}
             </span>
             <button
               onClick={onClose}
@@ -317,17 +168,29 @@ function DeploymentModal({
           </div>
         </div>
 
-        {error ? (
+        {error || (statusError && logs.length === 0) ? (
           <div className="p-6 text-red-600">
             <p className="font-medium">Error occurred:</p>
-            <p>{error}</p>
+            <p>{error || statusError}</p>
+          </div>
+        ) : logs.length > 0 ? (
+          <div className="flex-1 min-h-0 overflow-y-auto">
+            <FailureDiagnosis
+              hints={failureHints}
+              projectId={projectId}
+              onNavigate={onClose}
+            />
+            <BuildTimeline logs={logs} state={deploymentStatus} />
+            <LogPanel
+              logs={logs}
+              heightClass="h-[400px]"
+              fileName={`deployment-${currentDeploymentId}`}
+            />
           </div>
         ) : (
           <div
-            ref={logContainerRef}
             className="flex-1 overflow-y-auto p-4 font-mono text-sm bg-gray-50"
             style={{ height: "400px" }}
-            onScroll={handleScroll}
           >
             {/* Only show loading spinner during initial loading */}
             {isInitialLoading ? (
@@ -354,15 +217,10 @@ function DeploymentModal({
                 </svg>
                 <p className="text-gray-600">Initializing deployment...</p>
               </div>
-            ) : logs.length === 0 ? (
+            ) : (
               <div className="flex flex-col items-center justify-center h-full">
                 <p className="text-gray-600">No logs available yet...</p>
               </div>
-            ) : (
-              <div className="min-h-full">
-                {memoizedLogs}
-                <div ref={logEndRef} />
-              </div>
             )}
           </div>
         )}
@@ -376,25 +234,31 @@ function DeploymentModal({
             {deploymentStatus === "success"
               ? "Deployment completed successfully!"
               : deploymentStatus === "failure"
-              ? "Deployment failed. Please check the logs."
-              : "Deploying your project..."}
+              ? failureHints.length > 0
+                ? "Deployment failed. See the likely causes above."
+                : "Deployment failed. Please check the logs."
+              : deploymentStatus === "cancelled"
+              ? "Deployment was cancelled."
+              : `${getStatusLabel(deploymentStatus)}...`}
           </div>
-          {(deploymentStatus === "success" ||
-            deploymentStatus === "failure") && (
+          {isActiveState(deploymentStatus) && currentDeploymentId && (
+            <button
+              onClick={handleCancel}
+              disabled={isCancelling}
+              className={`px-4 py-2 border border-red-600 text-red-600 rounded hover:bg-red-50 transition-colors duration-150 ${
+                isCancelling ? "opacity-50 cursor-not-allowed" : ""
+              }`}
+            >
+              {isCancelling ? "Cancelling..." : "Cancel Deployment"}
+            </button>
+          )}
+          {!isActiveState(deploymentStatus) && (
             <button
               onClick={() => {
                 // Force a refresh of the project before closing
-                axios
-                  .get(
-                    `${import.meta.env.VITE_PROD_URL}/project/${projectId}`,
-                    {
-                      withCredentials: true,
-                      headers: {
-                        "x-auth-token": `${localStorage.getItem("token")}`,
-                      },
-                    }
-                  )
-                  .then((response) => {
+                api.projects
+                  .get(projectId)
+                  .then(() => {
                     // We don't need to do anything with the response,
                     // just ensure the request completes before closing
                     console.log("Project refreshed before modal close");
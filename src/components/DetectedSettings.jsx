@@ -0,0 +1,88 @@
+import React from "react";
+import { PACKAGE_MANAGERS, getFrameworkLabel } from "../utils/buildConfig";
+import { ENVIRONMENTS } from "../utils/projectFields";
+
+// Result of inspecting the repository, shown above the build settings.
+// While `applied` the form follows the detection; otherwise the user's own
+// settings win and they can switch back.
+function DetectedSettings({
+  detection,
+  isDetecting,
+  error,
+  applied,
+  onApply,
+  onOverride,
+}) {
+  if (isDetecting) {
+    return (
+      <div className="p-3 border border-gray-200 rounded-md bg-gray-50 text-sm text-gray-600">
+        Inspecting repository...
+      </div>
+    );
+  }
+
+  if (error) {
+    return (
+      <div className="p-3 border border-gray-200 rounded-md bg-gray-50 text-sm text-gray-600">
+        Couldn't detect build settings: {error}. Fill them in below.
+      </div>
+    );
+  }
+
+  if (!detection) return null;
+
+  const { settings, sources, warnings } = detection;
+  const summary = [
+    getFrameworkLabel(settings.framework),
+    detection.framework !== "static" &&
+      PACKAGE_MANAGERS.find((pm) => pm.value === settings.packageManager)
+        ?.label,
+    ENVIRONMENTS.find((env) => env.value === settings.environment)?.label,
+  ]
+    .filter(Boolean)
+    .join(" · ");
+
+  return (
+    <div
+      className={`p-3 border rounded-md text-sm ${
+        applied ? "bg-blue-50 border-blue-200" : "bg-gray-50 border-gray-200"
+      }`}
+    >
+      <div className="flex items-center justify-between">
+        <span className="text-gray-800">
+          Detected <span className="font-medium">{summary}</span>
+        </span>
+        {applied ? (
+          <button
+            type="button"
+            onClick={onOverride}
+            className="ml-3 text-blue-600 hover:underline"
+          >
+            Use my own settings
+          </button>
+        ) : (
+          <button
+            type="button"
+            onClick={onApply}
+            className="ml-3 px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700"
+          >
+            Apply detected settings
+          </button>
+        )}
+      </div>
+      <p className="mt-1 text-xs text-gray-500">
+        Based on {sources.join(", ")}.
+        {applied && " The settings below were filled in for you."}
+      </p>
+      {warnings.length > 0 && (
+        <ul className="mt-2 text-xs text-yellow-800 list-disc list-inside">
+          {warnings.map((warning) => (
+            <li key={warning}>{warning}</li>
+          ))}
+        </ul>
+      )}
+    </div>
+  );
+}
+
+export default DetectedSettings;
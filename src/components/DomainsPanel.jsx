@@ -0,0 +1,269 @@
+import React, { useState, useEffect, useRef } from "react";
+import {
+  getProjectHost,
+  isDomainActive,
+  normalizeDomain,
+  validateCustomDomain,
+} from "../utils/domains";
+
+const DOMAIN_POLL_INTERVAL = 15000;
+
+const getDomainState = (domain) => {
+  if (domain.verification === "failed") {
+    return { label: "DNS check failed", color: "text-red-600" };
+  }
+  if (domain.verification !== "verified") {
+    return { label: "Waiting for DNS", color: "text-yellow-600" };
+  }
+  if (domain.ssl === "failed") {
+    return { label: "Certificate failed", color: "text-red-600" };
+  }
+  if (domain.ssl !== "issued") {
+    return { label: "Issuing certificate", color: "text-yellow-600" };
+  }
+  return { label: "Active", color: "text-green-600" };
+};
+
+// Still waiting on DNS or the certificate; failures need the user to act
+const isDomainPending = (domain) =>
+  domain.verification === "pending" ||
+  (domain.verification === "verified" &&
+    domain.ssl !== "issued" &&
+    domain.ssl !== "failed");
+
+// Add and remove custom domains, show the DNS records each one needs and
+// follow verification and certificate progress. Each callback resolves
+// once the change is saved; errors are shown here.
+function DomainsPanel({ project, onAdd, onRemove, onSetPrimary, onRefresh }) {
+  const [name, setName] = useState("");
+  const [busyId, setBusyId] = useState(null);
+  const [isAdding, setIsAdding] = useState(false);
+  const [error, setError] = useState("");
+
+  const domains = project.domains || [];
+  const primary = domains.find((domain) => domain.primary);
+  const needsPolling = domains.some(isDomainPending);
+
+  // Keep the interval stable while the parent re-renders
+  const onRefreshRef = useRef(onRefresh);
+  onRefreshRef.current = onRefresh;
+
+  useEffect(() => {
+    if (!needsPolling) return;
+
+    const interval = setInterval(() => {
+      onRefreshRef
+        .current()
+        .catch((err) => console.error("Error polling domains:", err));
+    }, DOMAIN_POLL_INTERVAL);
+
+    return () => clearInterval(interval);
+  }, [needsPolling]);
+
+  const runAction = async (domainId, action, fallbackMessage) => {
+    try {
+      setBusyId(domainId);
+      setError("");
+      await action();
+    } catch (err) {
+      setError(err.message || fallbackMessage);
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleAdd = async (e) => {
+    e.preventDefault();
+    const domainName = normalizeDomain(name);
+    const validationError = validateCustomDomain(domainName, domains);
+    if (validationError) {
+      setError(validationError);
+      return;
+    }
+
+    try {
+      setIsAdding(true);
+      setError("");
+      await onAdd(domainName);
+      setName("");
+    } catch (err) {
+      setError(err.message || "Failed to add domain");
+    } finally {
+      setIsAdding(false);
+    }
+  };
+
+  const handleRemove = (domain) => {
+    const warning = domain.primary
+      ? ` Project links will go back to ${getProjectHost(project)}.`
+      : "";
+    if (!window.confirm(`Remove ${domain.name}?${warning}`)) return;
+
+    runAction(domain.id, () => onRemove(domain.id), "Failed to remove domain");
+  };
+
+  return (
+    <div>
+      {primary && !isDomainActive(primary) && (
+        <p className="mb-4 text-sm text-gray-500">
+          Project links use {getProjectHost(project)} until {primary.name} is
+          active.
+        </p>
+      )}
+
+      {domains.length === 0 ? (
+        <div className="p-4 border border-gray-200 rounded-md text-gray-500 mb-4">
+          No custom domains yet. The project is served at{" "}
+          {getProjectHost(project) || "its subdomain"}.
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md mb-4">
+          {domains.map((domain) => {
+            const state = getDomainState(domain);
+            const active = isDomainActive(domain);
+            const isBusy = busyId === domain.id;
+
+            return (
+              <li key={domain.id} className="px-4 py-3 text-sm">
+                <div className="flex items-center justify-between">
+                  <div className="flex items-center space-x-2 min-w-0">
+                    {active ? (
+                      <a
+                        href={`https://${domain.name}`}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="font-mono text-blue-600 hover:underline truncate"
+                      >
+                        {domain.name}
+                      </a>
+                    ) : (
+                      <span className="font-mono text-gray-900 truncate">
+                        {domain.name}
+                      </span>
+                    )}
+                    {domain.primary && (
+                      <span className="text-xs px-2 py-0.5 bg-blue-100 text-blue-700 rounded">
+                        Primary
+                      </span>
+                    )}
+                  </div>
+                  <div className="flex items-center space-x-3 ml-4">
+                    <span className={`font-medium ${state.color}`}>
+                      {state.label}
+                      {isDomainPending(domain) && (
+                        <span className="ml-1 inline-block animate-pulse">
+                          ⟳
+                        </span>
+                      )}
+                    </span>
+                    {active && !domain.primary && (
+                      <button
+                        type="button"
+                        disabled={isBusy}
+                        onClick={() =>
+                          runAction(
+                            domain.id,
+                            () => onSetPrimary(domain.id),
+                            "Failed to set primary domain"
+                          )
+                        }
+                        className="text-blue-600 hover:underline disabled:opacity-50"
+                      >
+                        Make primary
+                      </button>
+                    )}
+                    {!active && (
+                      <button
+                        type="button"
+                        disabled={isBusy}
+                        onClick={() =>
+                          runAction(
+                            domain.id,
+                            () => onRefresh(domain.id),
+                            "Failed to check domain"
+                          )
+                        }
+                        className="text-blue-600 hover:underline disabled:opacity-50"
+                      >
+                        {isBusy ? "Checking..." : "Check now"}
+                      </button>
+                    )}
+                    <button
+                      type="button"
+                      disabled={isBusy}
+                      onClick={() => handleRemove(domain)}
+                      className="text-red-600 hover:underline disabled:opacity-50"
+                    >
+                      Remove
+                    </button>
+                  </div>
+                </div>
+
+                {domain.error && (
+                  <p className="mt-2 text-xs text-red-600">{domain.error}</p>
+                )}
+
+                {domain.verification !== "verified" &&
+                  domain.records?.length > 0 && (
+                    <div className="mt-3">
+                      <p className="mb-2 text-xs text-gray-600">
+                        Add these records at your DNS provider. Changes can take
+                        a few minutes to an hour to apply.
+                      </p>
+                      <table className="min-w-full text-xs border border-gray-200">
+                        <thead className="bg-gray-50 text-gray-500">
+                          <tr>
+                            <th className="px-3 py-1 text-left">Type</th>
+                            <th className="px-3 py-1 text-left">Name</th>
+                            <th className="px-3 py-1 text-left">Value</th>
+                          </tr>
+                        </thead>
+                        <tbody className="font-mono">
+                          {domain.records.map((record) => (
+                            <tr
+                              key={`${record.type}-${record.name}-${record.value}`}
+                              className="border-t border-gray-200"
+                            >
+                              <td className="px-3 py-1">{record.type}</td>
+                              <td className="px-3 py-1">{record.name}</td>
+                              <td className="px-3 py-1 break-all">
+                                {record.value}
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                  )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {error && <p className="mb-2 text-sm text-red-600">{error}</p>}
+      <form onSubmit={handleAdd} className="flex space-x-2">
+        <input
+          type="text"
+          value={name}
+          onChange={(e) => setName(e.target.value)}
+          placeholder="www.mysite.com"
+          className="flex-1 px-3 py-1 border border-gray-300 rounded-md text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={isAdding || !name.trim()}
+          className={`py-1 px-4 rounded text-white text-sm ${
+            isAdding || !name.trim()
+              ? "bg-blue-400 cursor-not-allowed"
+              : "bg-blue-600 hover:bg-blue-700"
+          }`}
+        >
+          {isAdding ? "Adding..." : "Add Domain"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default DomainsPanel;
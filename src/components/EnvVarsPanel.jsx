@@ -0,0 +1,322 @@
+import React, { useState, useEffect } from "react";
+import {
+  ENV_SCOPES,
+  mergeEnvVars,
+  parseDotEnv,
+  serializeEnvVars,
+  validateEnvVars,
+} from "../utils/envVars";
+
+// Rows get a stable id for React keys and the revealed state; indexes
+// shift when a row is removed. Never sent to the API.
+let nextRowId = 0;
+const withRowIds = (rows) =>
+  rows.map((row) =>
+    row.rowId === undefined ? { ...row, rowId: (nextRowId += 1) } : row
+  );
+
+const toRows = (envVars = []) =>
+  withRowIds(
+    envVars.map((envVar) => ({
+      scope: "all",
+      secret: false,
+      ...envVar,
+      value: envVar.value ?? "",
+    }))
+  );
+
+function EnvVarsPanel({ envVars, onSave }) {
+  const [rows, setRows] = useState(() => toRows(envVars));
+  const [revealed, setRevealed] = useState({});
+  const [rowErrors, setRowErrors] = useState({});
+  const [showPaste, setShowPaste] = useState(false);
+  const [pasteText, setPasteText] = useState("");
+  const [pasteScope, setPasteScope] = useState("all");
+  const [pasteErrors, setPasteErrors] = useState([]);
+  const [redeploy, setRedeploy] = useState(true);
+  const [isSaving, setIsSaving] = useState(false);
+  const [isDirty, setIsDirty] = useState(false);
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+
+  // Pick up saved values unless the user has unsaved edits
+  useEffect(() => {
+    if (!isDirty) setRows(toRows(envVars));
+  }, [envVars, isDirty]);
+
+  const updateRows = (updater) => {
+    setRows(updater);
+    setIsDirty(true);
+    setRowErrors({});
+    setMessage("");
+  };
+
+  const updateRow = (rowId, changes) =>
+    updateRows((prev) =>
+      prev.map((row) => (row.rowId === rowId ? { ...row, ...changes } : row))
+    );
+
+  const handleImport = () => {
+    const { entries, errors } = parseDotEnv(pasteText);
+    setPasteErrors(errors);
+
+    if (entries.length > 0) {
+      updateRows((prev) => withRowIds(mergeEnvVars(prev, entries, pasteScope)));
+    }
+    if (errors.length === 0) {
+      setPasteText("");
+      setShowPaste(false);
+    }
+  };
+
+  const handleSave = async () => {
+    const errors = validateEnvVars(rows);
+    if (Object.keys(errors).length > 0) {
+      setRowErrors(errors);
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setError("");
+      const result = await onSave(serializeEnvVars(rows), { redeploy });
+      setIsDirty(false);
+      setRevealed({});
+      setMessage(
+        result?.redeployed
+          ? "Saved. A new deployment is using these variables."
+          : "Saved. Rebuild to apply the new variables."
+      );
+    } catch (err) {
+      // The variables were stored even though the redeploy didn't start
+      if (err.saved) {
+        setIsDirty(false);
+        setRevealed({});
+      }
+      setError(err.message || "Failed to save environment variables");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <div>
+      {error && (
+        <div className="mb-4 bg-red-50 text-red-700 p-3 rounded border border-red-300">
+          {error}
+        </div>
+      )}
+      {message && (
+        <div className="mb-4 bg-green-50 text-green-700 p-3 rounded border border-green-300">
+          {message}
+        </div>
+      )}
+
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-500 mb-4">
+          No environment variables yet. They are available to the build command,
+          e.g. <span className="font-mono">VITE_API_URL</span>.
+        </p>
+      ) : (
+        <div className="space-y-2 mb-4">
+          {rows.map((row, index) => {
+            const isStoredSecret = row.secret && row.hasValue && !row.value;
+
+            return (
+              <div key={row.rowId}>
+                <div className="flex items-center space-x-2">
+                  <input
+                    type="text"
+                    value={row.key}
+                    onChange={(e) =>
+                      updateRow(row.rowId, { key: e.target.value.trim() })
+                    }
+                    placeholder="KEY"
+                    className={`w-1/3 px-3 py-2 border rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+                      rowErrors[index] ? "border-red-500" : "border-gray-300"
+                    }`}
+                  />
+                  <input
+                    type={
+                      row.secret && !revealed[row.rowId] ? "password" : "text"
+                    }
+                    value={row.value}
+                    onChange={(e) =>
+                      updateRow(row.rowId, { value: e.target.value })
+                    }
+                    placeholder={
+                      isStoredSecret ? "••••••••  (unchanged)" : "value"
+                    }
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  {row.secret && row.value && (
+                    <button
+                      type="button"
+                      onClick={() =>
+                        setRevealed((prev) => ({
+                          ...prev,
+                          [row.rowId]: !prev[row.rowId],
+                        }))
+                      }
+                      className="text-xs text-gray-500 hover:text-gray-700"
+                    >
+                      {revealed[row.rowId] ? "Hide" : "Show"}
+                    </button>
+                  )}
+                  <select
+                    value={row.scope}
+                    onChange={(e) =>
+                      updateRow(row.rowId, { scope: e.target.value })
+                    }
+                    className="px-2 py-2 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  >
+                    {ENV_SCOPES.map((scope) => (
+                      <option key={scope.value} value={scope.value}>
+                        {scope.label}
+                      </option>
+                    ))}
+                  </select>
+                  <label className="flex items-center text-xs text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={row.secret}
+                      // A stored secret can't be turned back into plain text
+                      disabled={isStoredSecret}
+                      onChange={(e) =>
+                        updateRow(row.rowId, { secret: e.target.checked })
+                      }
+                      className="mr-1 h-4 w-4 text-blue-600 border-gray-300 rounded"
+                    />
+                    Secret
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() =>
+                      updateRows((prev) =>
+                        prev.filter((other) => other.rowId !== row.rowId)
+                      )
+                    }
+                    className="text-red-600 hover:text-red-700 text-sm px-2"
+                    aria-label={`Remove ${row.key || "variable"}`}
+                  >
+                    ✕
+                  </button>
+                </div>
+                {rowErrors[index] && (
+                  <p className="mt-1 text-sm text-red-600">
+                    {rowErrors[index]}
+                  </p>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      {showPaste && (
+        <div className="mb-4 border border-gray-200 rounded-md p-3 bg-gray-50">
+          <textarea
+            value={pasteText}
+            onChange={(e) => setPasteText(e.target.value)}
+            rows={6}
+            placeholder={
+              "# Paste the contents of a .env file\nVITE_API_URL=https://api.example.com"
+            }
+            className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          {pasteErrors.length > 0 && (
+            <ul className="mt-2 text-sm text-red-600 list-disc list-inside">
+              {pasteErrors.map((pasteError) => (
+                <li key={pasteError}>{pasteError}</li>
+              ))}
+            </ul>
+          )}
+          <div className="mt-2 flex items-center justify-end space-x-2">
+            <span className="text-sm text-gray-600">Scope:</span>
+            <select
+              value={pasteScope}
+              onChange={(e) => setPasteScope(e.target.value)}
+              className="px-2 py-1 border border-gray-300 rounded-md text-sm"
+            >
+              {ENV_SCOPES.map((scope) => (
+                <option key={scope.value} value={scope.value}>
+                  {scope.label}
+                </option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => {
+                setShowPaste(false);
+                setPasteErrors([]);
+              }}
+              className="px-3 py-1 border border-gray-300 text-gray-700 rounded-md hover:bg-gray-50 text-sm"
+            >
+              Cancel
+            </button>
+            <button
+              type="button"
+              onClick={handleImport}
+              disabled={!pasteText.trim()}
+              className="px-3 py-1 bg-blue-600 text-white rounded-md hover:bg-blue-700 text-sm disabled:opacity-50"
+            >
+              Import
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className="space-x-2">
+          <button
+            type="button"
+            onClick={() =>
+              updateRows((prev) =>
+                withRowIds([
+                  ...prev,
+                  { key: "", value: "", scope: "all", secret: false },
+                ])
+              )
+            }
+            className="py-1 px-3 border border-blue-600 text-blue-600 rounded hover:bg-blue-50 text-sm"
+          >
+            Add Variable
+          </button>
+          <button
+            type="button"
+            onClick={() => setShowPaste(true)}
+            className="py-1 px-3 border border-gray-300 text-gray-700 rounded hover:bg-gray-50 text-sm"
+          >
+            Paste .env
+          </button>
+        </div>
+
+        <div className="flex items-center space-x-3">
+          <label className="flex items-center text-sm text-gray-700">
+            <input
+              type="checkbox"
+              checked={redeploy}
+              onChange={(e) => setRedeploy(e.target.checked)}
+              className="mr-2 h-4 w-4 text-blue-600 border-gray-300 rounded"
+            />
+            Redeploy after saving
+          </label>
+          <button
+            type="button"
+            onClick={handleSave}
+            disabled={!isDirty || isSaving}
+            className={`py-1 px-4 rounded text-white text-sm ${
+              !isDirty || isSaving
+                ? "bg-blue-400 cursor-not-allowed"
+                : "bg-blue-600 hover:bg-blue-700"
+            }`}
+          >
+            {isSaving ? "Saving..." : "Save"}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default EnvVarsPanel;
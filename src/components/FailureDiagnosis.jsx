@@ -0,0 +1,47 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { SETTING_LABELS } from "../utils/failureDiagnosis";
+
+// Suggested fixes for a failed deployment. Each links to the project page
+// with `?edit=<setting>`, which opens the edit form on that field (or
+// scrolls to the environment variables). `onNavigate` lets a modal close
+// itself when a link is followed.
+function FailureDiagnosis({ hints, projectId, onNavigate }) {
+  if (!hints || hints.length === 0) return null;
+
+  return (
+    <div className="border-b border-red-200 bg-red-50 px-4 py-3 text-sm">
+      <p className="font-medium text-red-800 mb-2">
+        {hints.length === 1 ? "Likely cause" : "Likely causes"}
+      </p>
+      <ul className="space-y-3">
+        {hints.map((hint) => (
+          <li
+            key={hint.id}
+            className="bg-white border border-red-200 rounded p-3"
+          >
+            <div className="flex items-start justify-between">
+              <p className="font-medium text-gray-800">{hint.title}</p>
+              <span className="ml-2 shrink-0 text-xs text-gray-500 font-mono">
+                line {hint.line}
+              </span>
+            </div>
+            <p className="mt-1 text-gray-600">{hint.message}</p>
+            <p className="mt-1 text-gray-800">{hint.fix}</p>
+            {projectId && (
+              <Link
+                to={`/project/${projectId}?edit=${hint.setting}`}
+                onClick={onNavigate}
+                className="inline-block mt-2 text-blue-600 hover:underline"
+              >
+                Open {SETTING_LABELS[hint.setting]} →
+              </Link>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default FailureDiagnosis;
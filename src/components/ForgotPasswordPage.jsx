@@ -0,0 +1,130 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import api from "../api";
+import useCooldown from "../hooks/useCooldown";
+import { getRetryAfter } from "../utils/rateLimit";
+
+// Wait this long before another reset email can be requested
+const RESEND_COOLDOWN = 60;
+
+function ForgotPasswordPage() {
+  const [email, setEmail] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [sentTo, setSentTo] = useState("");
+  const [cooldown, startCooldown] = useCooldown();
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsLoading(true);
+    setError("");
+
+    try {
+      await api.auth.requestPasswordReset(email);
+      setSentTo(email);
+      startCooldown(RESEND_COOLDOWN);
+    } catch (err) {
+      console.error("Password reset request error:", err);
+      if (err.status === 429) {
+        const retryAfter = getRetryAfter(err, RESEND_COOLDOWN);
+        setError(
+          `Too many reset requests. Please wait ${retryAfter} seconds and try again.`
+        );
+        startCooldown(retryAfter);
+      } else {
+        setError(err.message || "Failed to send the reset email.");
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const isDisabled = isLoading || cooldown > 0;
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Reset your password
+        </h2>
+        <p className="mt-2 text-center text-sm text-gray-600">
+          Enter your email and we'll send you a link to choose a new password
+        </p>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10">
+          {error && (
+            <div
+              className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded relative"
+              role="alert"
+            >
+              <span className="block sm:inline">{error}</span>
+            </div>
+          )}
+          {sentTo && !error && (
+            <div className="mb-4 bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded">
+              If an account exists for {sentTo}, a reset link is on its way. The
+              link expires after a short time.
+            </div>
+          )}
+
+          <form className="space-y-6" onSubmit={handleSubmit}>
+            <div>
+              <label
+                htmlFor="email"
+                className="block text-sm font-medium text-gray-700"
+              >
+                Email address
+              </label>
+              <div className="mt-1">
+                <input
+                  id="email"
+                  name="email"
+                  type="email"
+                  autoComplete="email"
+                  required
+                  value={email}
+                  onChange={(e) => setEmail(e.target.value)}
+                  className="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                />
+              </div>
+            </div>
+
+            <div>
+              <button
+                type="submit"
+                disabled={isDisabled}
+                className={`w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white ${
+                  isDisabled ? "bg-blue-400" : "bg-blue-600 hover:bg-blue-700"
+                } focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500`}
+              >
+                {isLoading
+                  ? "Sending..."
+                  : cooldown > 0
+                  ? `Send again in ${cooldown}s`
+                  : sentTo
+                  ? "Send again"
+                  : "Send reset link"}
+              </button>
+            </div>
+          </form>
+
+          <div className="mt-6 text-center">
+            <p className="text-sm text-gray-600">
+              Remembered it?{" "}
+              <Link
+                to="/login"
+                className="font-medium text-blue-600 hover:text-blue-500"
+              >
+                Back to sign in
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ForgotPasswordPage;
@@ -0,0 +1,90 @@
+import React, { useState, useEffect, useRef } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import api from "../api";
+import { consumeGithubOAuthState, getGithubRedirectUri } from "../utils/github";
+
+// GitHub redirects here after the user approves (or denies) access. Signed
+// out users are signed in; signed in users get GitHub linked to their
+// account.
+function GithubCallbackPage({ user, onLogin }) {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const [error, setError] = useState("");
+
+  // The code is single-use; don't exchange it twice in StrictMode
+  const handledRef = useRef(false);
+
+  useEffect(() => {
+    if (handledRef.current) return;
+    handledRef.current = true;
+
+    const code = searchParams.get("code");
+    const stored = consumeGithubOAuthState(searchParams.get("state"));
+
+    if (searchParams.get("error")) {
+      setError(
+        searchParams.get("error_description") ||
+          "GitHub access was not granted."
+      );
+      return;
+    }
+    if (!code || !stored) {
+      setError("This sign-in link is invalid or has expired. Try again.");
+      return;
+    }
+
+    const finish = async () => {
+      try {
+        const redirectUri = getGithubRedirectUri();
+
+        if (user) {
+          await api.github.connect({ code, redirectUri });
+        } else {
+          const session = await api.auth.githubLogin({ code, redirectUri });
+          onLogin(session);
+        }
+
+        navigate(stored.returnTo || "/dashboard", { replace: true });
+      } catch (err) {
+        console.error("GitHub sign-in error:", err);
+        setError(err.message || "Failed to connect to GitHub.");
+      }
+    };
+
+    finish();
+  }, [searchParams, user, onLogin, navigate]);
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10 text-center">
+          {error ? (
+            <>
+              <div
+                className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded"
+                role="alert"
+              >
+                {error}
+              </div>
+              <Link
+                to={user ? "/dashboard" : "/login"}
+                className="font-medium text-blue-600 hover:text-blue-500"
+              >
+                {user ? "Back to dashboard" : "Back to sign in"}
+              </Link>
+            </>
+          ) : (
+            <>
+              <div className="flex justify-center mb-4">
+                <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-blue-500"></div>
+              </div>
+              <p className="text-sm text-gray-600">Connecting to GitHub...</p>
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default GithubCallbackPage;
@@ -0,0 +1,578 @@
+import React, {
+  useState,
+  useEffect,
+  useLayoutEffect,
+  useMemo,
+  useRef,
+} from "react";
+import useVirtualList from "../hooks/useVirtualList";
+import {
+  LOG_LEVELS,
+  createLogMatcher,
+  formatLineRange,
+  formatLogsAsJson,
+  formatLogsAsText,
+  highlightSegments,
+  parseLogEntry,
+} from "../utils/logFormat";
+
+const LEVEL_LINE_CLASSES = {
+  error: "text-red-700 bg-red-50",
+  warn: "text-yellow-800 bg-yellow-50",
+  info: "text-gray-800",
+};
+
+const SELECTED_LINE_CLASSES = "text-gray-900 bg-blue-100";
+
+// Rows don't wrap so every line is the same height; long lines scroll
+// horizontally. Matches Tailwind's leading-5.
+const ROW_HEIGHT = 20;
+
+const toEntry = (log, index) => ({
+  ...parseLogEntry(log),
+  line: index + 1,
+  timestamp: log.timestamp,
+});
+
+// Index of the first entry at or after `line`; entries are in line order
+const findIndexByLine = (entries, line) => {
+  let low = 0;
+  let high = entries.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (entries[mid].line < line) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+};
+
+const downloadFile = (name, content, type) => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = name;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+};
+
+// Shared log display for LogViewer and DeploymentModal: search (plain or
+// regex) with highlighting, level filters, ANSI colors, line numbers and
+// error navigation. Only the rows in view are rendered, so builds with
+// 100k+ lines stay responsive. Follows new lines while scrolled to the
+// bottom; otherwise the scroll position is kept as lines arrive or filters
+// change.
+//
+// Clicking a line number selects it (shift-click selects a range) for
+// copying or sharing. `initialSelection` is scrolled into view once its
+// lines have loaded, and `getPermalink(range)` enables "Copy link".
+function LogPanel({
+  logs,
+  heightClass = "h-96",
+  fileName = "deployment-logs",
+  initialSelection = null,
+  onSelectionChange,
+  getPermalink,
+}) {
+  const [query, setQuery] = useState("");
+  const [useRegex, setUseRegex] = useState(false);
+  const [caseSensitive, setCaseSensitive] = useState(false);
+  const [levels, setLevels] = useState(() =>
+    LOG_LEVELS.map((level) => level.value)
+  );
+  const [currentError, setCurrentError] = useState(-1);
+  const [follow, setFollow] = useState(!initialSelection);
+  const [selection, setSelection] = useState(initialSelection);
+  const [copyNotice, setCopyNotice] = useState(null);
+  const anchorLineRef = useRef(initialSelection?.start ?? null);
+  const pendingRangeRef = useRef(initialSelection);
+
+  // Logs only ever grow, so reuse the entries and counts built for earlier
+  // lines and only process the new ones
+  const entriesCacheRef = useRef({ logs: [], entries: [], levelCounts: {} });
+  const { entries, levelCounts } = useMemo(() => {
+    const cache = entriesCacheRef.current;
+    const seen = cache.logs.length;
+    const isAppend =
+      seen > 0 &&
+      seen <= logs.length &&
+      logs[0] === cache.logs[0] &&
+      logs[seen - 1] === cache.logs[seen - 1];
+
+    const base = isAppend ? cache.entries : [];
+    const added = logs
+      .slice(base.length)
+      .map((log, i) => toEntry(log, base.length + i));
+    const counts = isAppend
+      ? { ...cache.levelCounts }
+      : { info: 0, warn: 0, error: 0 };
+    added.forEach((entry) => {
+      counts[entry.level] += 1;
+    });
+
+    const next = { logs, entries: base.concat(added), levelCounts: counts };
+    entriesCacheRef.current = next;
+    return next;
+  }, [logs]);
+
+  const matcher = useMemo(
+    () => createLogMatcher(query, { regex: useRegex, caseSensitive }),
+    [query, useRegex, caseSensitive]
+  );
+  const searchError = matcher?.error;
+  const activeMatcher = matcher && !searchError ? matcher : null;
+
+  const filterKey = `${levels.join()}|${query}|${useRegex}|${caseSensitive}`;
+
+  // Same for filtering: while the filters are unchanged only new entries
+  // need testing
+  const visibleCacheRef = useRef({
+    filterKey: null,
+    entries: [],
+    visibleEntries: [],
+    errorLines: [],
+  });
+  const { visibleEntries, errorLines } = useMemo(() => {
+    const cache = visibleCacheRef.current;
+    const seen = cache.entries.length;
+    const isAppend =
+      cache.filterKey === filterKey &&
+      seen > 0 &&
+      seen <= entries.length &&
+      entries[seen - 1] === cache.entries[seen - 1];
+
+    const added = entries
+      .slice(isAppend ? seen : 0)
+      .filter(
+        (entry) =>
+          levels.includes(entry.level) &&
+          (!activeMatcher || activeMatcher.test(entry.text))
+      );
+    const addedErrors = added
+      .filter((entry) => entry.level === "error")
+      .map((entry) => entry.line);
+
+    const next = {
+      filterKey,
+      entries,
+      visibleEntries: isAppend ? cache.visibleEntries.concat(added) : added,
+      errorLines: isAppend ? cache.errorLines.concat(addedErrors) : addedErrors,
+    };
+    visibleCacheRef.current = next;
+    return next;
+  }, [entries, filterKey, levels, activeMatcher]);
+
+  const {
+    containerRef,
+    onScroll,
+    start,
+    end,
+    totalHeight,
+    scrollToIndex,
+    scrollToEnd,
+  } = useVirtualList({ count: visibleEntries.length, rowHeight: ROW_HEIGHT });
+
+  // Line at the top of the view, used to keep it in place when filters
+  // change the rows above it
+  const topLineRef = useRef(null);
+  const filterKeyRef = useRef(filterKey);
+
+  useLayoutEffect(() => {
+    if (filterKeyRef.current === filterKey) return;
+    filterKeyRef.current = filterKey;
+    if (follow || topLineRef.current === null) return;
+
+    scrollToIndex(findIndexByLine(visibleEntries, topLineRef.current));
+  }, [filterKey, follow, visibleEntries, scrollToIndex]);
+
+  // Keep following the tail while the user is at the bottom
+  useEffect(() => {
+    if (follow) scrollToEnd();
+  }, [visibleEntries, follow, scrollToEnd]);
+
+  // Bring a linked range into view once its first line has arrived
+  useEffect(() => {
+    const range = pendingRangeRef.current;
+    if (!range || entries.length < range.start) return;
+
+    pendingRangeRef.current = null;
+    const index = findIndexByLine(visibleEntries, range.start);
+    scrollToIndex(Math.max(0, index - 3));
+  }, [entries.length, visibleEntries, scrollToIndex]);
+
+  useEffect(() => {
+    if (!copyNotice) return;
+    const timer = setTimeout(() => setCopyNotice(null), 2000);
+    return () => clearTimeout(timer);
+  }, [copyNotice]);
+
+  const handleScroll = (e) => {
+    onScroll(e);
+
+    const element = e.currentTarget;
+    const atBottom =
+      element.scrollHeight - element.scrollTop - element.clientHeight <
+      ROW_HEIGHT * 2;
+    setFollow(atBottom);
+    topLineRef.current =
+      visibleEntries[Math.floor(element.scrollTop / ROW_HEIGHT)]?.line ?? null;
+  };
+
+  const updateSelection = (range) => {
+    setSelection(range);
+    onSelectionChange?.(range);
+  };
+
+  const selectLine = (line, extend) => {
+    const anchor = anchorLineRef.current;
+    if (extend && anchor !== null) {
+      updateSelection({
+        start: Math.min(anchor, line),
+        end: Math.max(anchor, line),
+      });
+      return;
+    }
+
+    // Clicking the only selected line again clears the selection
+    if (selection?.start === line && selection.end === line) {
+      anchorLineRef.current = null;
+      updateSelection(null);
+      return;
+    }
+    anchorLineRef.current = line;
+    updateSelection({ start: line, end: line });
+  };
+
+  const copyText = async (text, label) => {
+    try {
+      await navigator.clipboard.writeText(text);
+      setCopyNotice(`Copied ${label}`);
+    } catch (err) {
+      console.error("Failed to copy logs:", err);
+      setCopyNotice("Copy failed");
+    }
+  };
+
+  // Line numbers are 1-based positions in the full log
+  const selectedLogs = selection
+    ? logs.slice(selection.start - 1, selection.end)
+    : [];
+
+  const toggleLevel = (level) =>
+    setLevels((prev) =>
+      prev.includes(level)
+        ? prev.filter((value) => value !== level)
+        : [...prev, level]
+    );
+
+  const jumpToError = (direction) => {
+    if (errorLines.length === 0) return;
+
+    const next =
+      currentError < 0
+        ? direction > 0
+          ? 0
+          : errorLines.length - 1
+        : (currentError + direction + errorLines.length) % errorLines.length;
+    setCurrentError(next);
+    setFollow(false);
+    scrollToIndex(findIndexByLine(visibleEntries, errorLines[next]), "center");
+  };
+
+  const focusedLine = currentError >= 0 ? errorLines[currentError] : null;
+
+  return (
+    <div className="relative">
+      <div className="flex flex-wrap items-center gap-2 p-2 bg-white border-b border-gray-200 text-sm">
+        <div className="flex items-center flex-1 min-w-[12rem]">
+          <input
+            type="search"
+            value={query}
+            onChange={(e) => {
+              setQuery(e.target.value);
+              setCurrentError(-1);
+            }}
+            placeholder={useRegex ? "Search (regex)" : "Search logs"}
+            className={`flex-1 px-2 py-1 border rounded-l-md font-mono text-xs focus:outline-none focus:ring-2 focus:ring-blue-500 ${
+              searchError ? "border-red-500" : "border-gray-300"
+            }`}
+          />
+          <button
+            type="button"
+            onClick={() => setUseRegex((prev) => !prev)}
+            aria-pressed={useRegex}
+            title="Regular expression"
+            className={`px-2 py-1 border-y border-gray-300 font-mono text-xs ${
+              useRegex ? "bg-blue-600 text-white" : "bg-white text-gray-600"
+            }`}
+          >
+            .*
+          </button>
+          <button
+            type="button"
+            onClick={() => setCaseSensitive((prev) => !prev)}
+            aria-pressed={caseSensitive}
+            title="Match case"
+            className={`px-2 py-1 border border-gray-300 rounded-r-md font-mono text-xs ${
+              caseSensitive
+                ? "bg-blue-600 text-white"
+                : "bg-white text-gray-600"
+            }`}
+          >
+            Aa
+          </button>
+        </div>
+
+        <div className="flex items-center space-x-1">
+          {LOG_LEVELS.map((level) => {
+            const selected = levels.includes(level.value);
+            return (
+              <button
+                key={level.value}
+                type="button"
+                onClick={() => {
+                  toggleLevel(level.value);
+                  setCurrentError(-1);
+                }}
+                aria-pressed={selected}
+                className={`px-2 py-0.5 rounded text-xs font-medium border ${
+                  selected
+                    ? "bg-gray-800 border-gray-800 text-white"
+                    : "bg-white border-gray-300 text-gray-500"
+                }`}
+              >
+                {level.label} {levelCounts[level.value]}
+              </button>
+            );
+          })}
+        </div>
+
+        <div className="flex items-center space-x-1">
+          <button
+            type="button"
+            onClick={() => jumpToError(-1)}
+            disabled={errorLines.length === 0}
+            className="px-2 py-0.5 border border-gray-300 rounded text-xs disabled:opacity-50"
+            title="Previous error"
+          >
+            ↑
+          </button>
+          <button
+            type="button"
+            onClick={() => jumpToError(1)}
+            disabled={errorLines.length === 0}
+            className="px-2 py-0.5 border border-gray-300 rounded text-xs disabled:opacity-50"
+            title="Next error"
+          >
+            ↓
+          </button>
+          <span className="text-xs text-gray-500">
+            {errorLines.length === 0
+              ? "No errors"
+              : currentError >= 0
+              ? `Error ${currentError + 1} of ${errorLines.length}`
+              : `${errorLines.length} errors`}
+          </span>
+        </div>
+
+        <div className="flex items-center space-x-1 ml-auto">
+          {copyNotice && (
+            <span className="text-xs text-gray-500 mr-1">{copyNotice}</span>
+          )}
+          <button
+            type="button"
+            onClick={() => copyText(formatLogsAsText(logs), "all lines")}
+            className="px-2 py-0.5 border border-gray-300 rounded text-xs hover:bg-gray-50"
+          >
+            Copy all
+          </button>
+          <button
+            type="button"
+            onClick={() =>
+              copyText(
+                formatLogsAsText(selectedLogs),
+                `${selectedLogs.length} ${
+                  selectedLogs.length === 1 ? "line" : "lines"
+                }`
+              )
+            }
+            disabled={!selection}
+            title={
+              selection
+                ? undefined
+                : "Click a line number to select it, shift-click to select a range"
+            }
+            className="px-2 py-0.5 border border-gray-300 rounded text-xs hover:bg-gray-50 disabled:opacity-50"
+          >
+            Copy selection
+          </button>
+          {getPermalink && selection && (
+            <button
+              type="button"
+              onClick={() => copyText(getPermalink(selection), "link")}
+              className="px-2 py-0.5 border border-gray-300 rounded text-xs hover:bg-gray-50"
+            >
+              Copy link
+            </button>
+          )}
+          <button
+            type="button"
+            onClick={() =>
+              downloadFile(
+                `${fileName}.txt`,
+                formatLogsAsText(logs),
+                "text/plain"
+              )
+            }
+            className="px-2 py-0.5 border border-gray-300 rounded text-xs hover:bg-gray-50"
+            title="Download as .txt"
+          >
+            .txt ↓
+          </button>
+          <button
+            type="button"
+            onClick={() =>
+              downloadFile(
+                `${fileName}.json`,
+                formatLogsAsJson(logs),
+                "application/json"
+              )
+            }
+            className="px-2 py-0.5 border border-gray-300 rounded text-xs hover:bg-gray-50"
+            title="Download as .json"
+          >
+            .json ↓
+          </button>
+        </div>
+      </div>
+
+      {selection && (
+        <div className="flex items-center justify-between px-3 py-1 text-xs text-blue-800 bg-blue-50 border-b border-gray-200">
+          <span>
+            {selection.start === selection.end
+              ? `Line ${selection.start} selected`
+              : `Lines ${selection.start}-${selection.end} selected`}{" "}
+            <span className="font-mono text-blue-600">
+              #{formatLineRange(selection)}
+            </span>
+          </span>
+          <button
+            type="button"
+            onClick={() => {
+              anchorLineRef.current = null;
+              updateSelection(null);
+            }}
+            className="text-blue-700 hover:underline"
+          >
+            Clear
+          </button>
+        </div>
+      )}
+
+      {(searchError || activeMatcher) && (
+        <div
+          className={`px-3 py-1 text-xs border-b border-gray-200 ${
+            searchError ? "text-red-600 bg-red-50" : "text-gray-500 bg-white"
+          }`}
+        >
+          {searchError
+            ? `Invalid regular expression: ${searchError}`
+            : `${visibleEntries.length} matching lines`}
+        </div>
+      )}
+
+      <div
+        ref={containerRef}
+        onScroll={handleScroll}
+        className={`bg-gray-50 ${heightClass} overflow-auto font-mono text-sm`}
+      >
+        {visibleEntries.length === 0 ? (
+          <p className="px-4 py-2 text-gray-500">
+            No lines match these filters.
+          </p>
+        ) : (
+          <div
+            className="relative w-max min-w-full"
+            style={{ height: totalHeight }}
+          >
+            <div style={{ transform: `translateY(${start * ROW_HEIGHT}px)` }}>
+              {visibleEntries.slice(start, end).map((entry) => {
+                const ranges = activeMatcher
+                  ? activeMatcher.ranges(entry.text)
+                  : [];
+                const isSelected =
+                  selection &&
+                  entry.line >= selection.start &&
+                  entry.line <= selection.end;
+
+                return (
+                  <div
+                    key={entry.line}
+                    data-line={entry.line}
+                    style={{ height: ROW_HEIGHT }}
+                    className={`flex px-2 leading-5 whitespace-pre ${
+                      isSelected
+                        ? SELECTED_LINE_CLASSES
+                        : LEVEL_LINE_CLASSES[entry.level]
+                    } ${
+                      entry.line === focusedLine
+                        ? "ring-2 ring-inset ring-red-400"
+                        : ""
+                    }`}
+                  >
+                    <button
+                      type="button"
+                      // Keep shift-click from selecting text across rows
+                      onMouseDown={(e) => e.shiftKey && e.preventDefault()}
+                      onClick={(e) => selectLine(entry.line, e.shiftKey)}
+                      className={`w-14 shrink-0 pr-3 text-right select-none hover:underline ${
+                        isSelected ? "text-blue-700" : "text-gray-400"
+                      }`}
+                    >
+                      {entry.line}
+                    </button>
+                    <span className="shrink-0 mr-2 text-gray-500 select-none">
+                      {entry.timestamp
+                        ? new Date(entry.timestamp).toLocaleTimeString()
+                        : ""}
+                    </span>
+                    <span>
+                      {highlightSegments(entry.segments, ranges).map(
+                        (segment, i) =>
+                          segment.highlight ? (
+                            <mark
+                              key={i}
+                              className={`${segment.className} bg-yellow-200 rounded-sm`}
+                            >
+                              {segment.text}
+                            </mark>
+                          ) : (
+                            <span key={i} className={segment.className}>
+                              {segment.text}
+                            </span>
+                          )
+                      )}
+                    </span>
+                  </div>
+                );
+              })}
+            </div>
+          </div>
+        )}
+      </div>
+
+      {!follow && visibleEntries.length > 0 && (
+        <button
+          type="button"
+          onClick={() => setFollow(true)}
+          className="absolute bottom-3 right-5 px-3 py-1 text-xs bg-gray-800 text-white rounded-full shadow hover:bg-gray-900"
+        >
+          ↓ Follow latest
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default LogPanel;
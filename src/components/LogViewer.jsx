@@ -1,97 +1,59 @@
-import React, { useState, useEffect, useRef } from "react";
-import axios from "axios";
+import React, { useEffect, useMemo, useRef } from "react";
+import LogPanel from "./LogPanel";
+import BuildTimeline from "./BuildTimeline";
+import FailureDiagnosis from "./FailureDiagnosis";
 import { useProjects } from "../context/ProjectContext";
+import useLogStream from "../hooks/useLogStream";
+import useDeploymentStatus from "../hooks/useDeploymentStatus";
+import { isActiveState } from "../utils/deploymentState";
+import { diagnoseFailure } from "../utils/failureDiagnosis";
+
+// `initialSelection`, `onSelectionChange` and `getPermalink` are passed
+// through to LogPanel for line-anchored links
+function LogViewer({
+  deploymentId,
+  projectId,
+  initialStatus,
+  initialSelection,
+  onSelectionChange,
+  getPermalink,
+}) {
+  const { logs, isLoading, error, finish } = useLogStream(deploymentId);
+  const { state } = useDeploymentStatus({
+    projectId,
+    deploymentId,
+    logs,
+    initialStatus,
+  });
+
+  const { projects, updateProjectStatus } = useProjects();
+
+  const project = projects.find((p) => p.id === projectId);
+  const failureHints = useMemo(
+    () => (state === "failure" ? diagnoseFailure(logs, project) : []),
+    [state, logs, project]
+  );
 
-function LogViewer({ deploymentId, projectId }) {
-  const [logs, setLogs] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const [pollingActive, setPollingActive] = useState(true);
-
-  const { updateProjectStatus } = useProjects();
-
-  const logEndRef = useRef(null);
-  const pollingRef = useRef(null);
-  const doneDetectedRef = useRef(false);
+  const finishedRef = useRef(false);
+  const sawActiveRef = useRef(false);
 
-  // Add more logging in the useEffect
+  // Stop following once the deployment reaches a terminal state
   useEffect(() => {
-    if (!deploymentId) {
-      console.warn("⚠️ No deploymentId provided to LogViewer!");
-      setIsLoading(false);
+    if (isActiveState(state)) {
+      sawActiveRef.current = true;
       return;
     }
+    if (finishedRef.current) return;
 
-    const fetchLogs = async () => {
-      try {
-        const response = await axios.get(
-          `${import.meta.env.VITE_PROD_URL}/logs/${deploymentId}`,
-          {
-            withCredentials: true,
-            headers: {
-              "x-auth-token": localStorage.getItem("token"),
-            },
-          }
-        );
-
-        if (response.data.status === "success") {
-          const newLogs = response.data.data.logs || [];
-
-          setLogs(newLogs);
-
-          // Check for "done" log
-          const isDone = newLogs.some((log) => {
-            const message = (log.message || log.log || "").toLowerCase();
-            return (
-              message.includes("done") ||
-              message.includes("completed successfully")
-            );
-          });
-
-          if (isDone && !doneDetectedRef.current && projectId) {
-            doneDetectedRef.current = true;
-            setPollingActive(false);
-            updateProjectStatus(projectId, "success");
-
-            // Stop polling when done
-            if (pollingRef.current) {
-              clearInterval(pollingRef.current);
-              pollingRef.current = null;
-            }
-          }
-        } else {
-          throw new Error(response.data.message || "Failed to fetch logs");
-        }
-
-        setIsLoading(false);
-      } catch (err) {
-        console.error("Error fetching logs:", err);
-        setError(`Failed to fetch logs: ${err.message}`);
-        setIsLoading(false);
-      }
-    };
-
-    // Fetch logs immediately
-    fetchLogs();
-
-    // Poll for new logs every 2 seconds
-    pollingRef.current = setInterval(fetchLogs, 5000);
+    finishedRef.current = true;
+    finish();
 
-    // Clean up on unmount
-    return () => {
-      if (pollingRef.current) {
-        clearInterval(pollingRef.current);
-        pollingRef.current = null;
-      }
-    };
-  }, [deploymentId, projectId, updateProjectStatus]);
-
-  // Scroll to bottom when logs update
-  useEffect(() => {
-    if (logEndRef.current) {
-      logEndRef.current.scrollIntoView({ behavior: "smooth" });
+    // Only report transitions we watched happen; an already finished
+    // deployment is up to date in the project list
+    if (projectId && sawActiveRef.current) {
+      updateProjectStatus(projectId, state, deploymentId);
     }
-  }, [logs]);
+  }, [state, projectId, deploymentId, finish, updateProjectStatus]);
 
   if (isLoading && logs.length === 0) {
     return (
@@ -102,7 +64,7 @@ function LogViewer({ deploymentId, projectId }) {
     );
   }
 
-  if (error) {
+  if (error && logs.length === 0) {
     return (
       <div className="bg-red-50 border border-red-200 text-red-700 p-4 rounded-md">
         <p className="font-medium mb-2">Error</p>
@@ -130,29 +92,35 @@ function LogViewer({ deploymentId, projectId }) {
 
   return (
     <div className="border border-gray-200 rounded-md overflow-hidden">
-      <div className="bg-gray-50 p-4 h-96 overflow-y-auto font-mono text-sm">
-        {logs.map((log, index) => (
-          <div
-            key={index}
-            className={`mb-1 ${
-              (log.message || log.log || "").toLowerCase().includes("error")
-                ? "text-red-600"
-                : ""
-            }`}
-          >
-            <span className="text-gray-500 mr-2">
-              {new Date(log.timestamp).toLocaleTimeString()}
-            </span>
-            {log.message || log.log}
-          </div>
-        ))}
-        <div ref={logEndRef} />
-      </div>
-      {!pollingActive && (
+      <FailureDiagnosis hints={failureHints} projectId={projectId} />
+      <BuildTimeline logs={logs} state={state} />
+      <LogPanel
+        logs={logs}
+        fileName={`deployment-${deploymentId}`}
+        initialSelection={initialSelection}
+        onSelectionChange={onSelectionChange}
+        getPermalink={getPermalink}
+      />
+      {error && (
+        <div className="bg-yellow-50 text-yellow-700 text-xs p-2 text-center">
+          {error}. Retrying...
+        </div>
+      )}
+      {state === "success" && (
         <div className="bg-green-50 text-green-700 text-xs p-2 text-center">
           Deployment complete. Logs are no longer updating.
         </div>
       )}
+      {state === "failure" && (
+        <div className="bg-red-50 text-red-700 text-xs p-2 text-center">
+          Deployment failed. Logs are no longer updating.
+        </div>
+      )}
+      {state === "cancelled" && (
+        <div className="bg-gray-100 text-gray-700 text-xs p-2 text-center">
+          Deployment cancelled. Logs are no longer updating.
+        </div>
+      )}
     </div>
   );
 }
@@ -1,44 +1,34 @@
 import React, { useState } from "react";
-import { Link } from "react-router-dom";
-import axios from "axios";
+import { Link, useLocation } from "react-router-dom";
+import api from "../api";
+import { startGithubOAuth } from "../utils/github";
 
 function LoginPage({ onLogin }) {
+  const location = useLocation();
+  // Set by flows that end here, e.g. email verification
+  const message = location.state?.message;
   const [email, setEmail] = useState("");
   const [password, setPassword] = useState("");
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState("");
+  const [needsVerification, setNeedsVerification] = useState(false);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     setIsLoading(true);
     setError(null);
+    setNeedsVerification(false);
 
     try {
       // Make the API call to your backend
-      const response = await axios.post(
-        `${import.meta.env.VITE_PROD_URL}/auth/login`,
-        {
-          email,
-          password,
-        }
-      );
-
-      // Check if login was successful
-      if (response.data.status === "success") {
-        // Save the token'
-        console.log(response.data);
-        localStorage.setItem("token", response.data.data.token);
-
-        // Then call the onLogin handler with user data
-        onLogin(response.data.data.user);
-      } else {
-        setError(response.data.message || "Login failed");
-      }
+      const session = await api.auth.login({ email, password });
+
+      // Hand the tokens and user over to the session
+      onLogin(session);
     } catch (err) {
       console.error("Login error:", err);
-      setError(
-        err.response?.data?.message || "Failed to login. Please try again."
-      );
+      setNeedsVerification(err.code === "EMAIL_NOT_VERIFIED");
+      setError(err.message || "Failed to login. Please try again.");
     } finally {
       setIsLoading(false);
     }
@@ -63,6 +53,19 @@ function LoginPage({ onLogin }) {
               role="alert"
             >
               <span className="block sm:inline">{error}</span>
+              {needsVerification && (
+                <Link
+                  to={`/verify-email?email=${encodeURIComponent(email)}`}
+                  className="block mt-1 font-medium underline"
+                >
+                  Resend verification email
+                </Link>
+              )}
+            </div>
+          )}
+          {message && !error && (
+            <div className="mb-4 bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded">
+              {message}
             </div>
           )}
 
@@ -126,12 +129,12 @@ function LoginPage({ onLogin }) {
               </div>
 
               <div className="text-sm">
-                <a
-                  href="#"
+                <Link
+                  to="/forgot-password"
                   className="font-medium text-blue-600 hover:text-blue-500"
                 >
                   Forgot your password?
-                </a>
+                </Link>
               </div>
             </div>
 
@@ -174,8 +177,9 @@ function LoginPage({ onLogin }) {
 
             <div className="mt-6 grid grid-cols-2 gap-3">
               <div>
-                <a
-                  href="#"
+                <button
+                  type="button"
+                  onClick={() => startGithubOAuth({ returnTo: "/dashboard" })}
                   className="w-full inline-flex justify-center py-2 px-4 border border-gray-300 rounded-md shadow-sm bg-white text-sm font-medium text-gray-500 hover:bg-gray-50"
                 >
                   <span className="sr-only">Sign in with GitHub</span>
@@ -191,7 +195,7 @@ function LoginPage({ onLogin }) {
                       clipRule="evenodd"
                     />
                   </svg>
-                </a>
+                </button>
               </div>
 
               <div>
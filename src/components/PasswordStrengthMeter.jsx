@@ -0,0 +1,26 @@
+import React from "react";
+import { getPasswordStrength } from "../utils/password";
+
+function PasswordStrengthMeter({ password }) {
+  if (!password) return null;
+
+  const { score, label, color, text } = getPasswordStrength(password);
+
+  return (
+    <div className="mt-2">
+      <div className="flex space-x-1">
+        {[1, 2, 3, 4].map((level) => (
+          <div
+            key={level}
+            className={`h-1 flex-1 rounded ${
+              score >= level ? color : "bg-gray-200"
+            }`}
+          />
+        ))}
+      </div>
+      <p className={`mt-1 text-xs ${text}`}>{label}</p>
+    </div>
+  );
+}
+
+export default PasswordStrengthMeter;
@@ -0,0 +1,171 @@
+import React, { useState } from "react";
+import { Link } from "react-router-dom";
+import {
+  getStatusColor,
+  getStatusLabel,
+  isActiveState,
+  isPreviewDeployment,
+  normalizeStatus,
+} from "../utils/deploymentState";
+import {
+  formatTimestamp,
+  getDeploymentCommit,
+  getStartedAt,
+  shortSha,
+} from "../utils/deploymentFormat";
+import { displayUrl, getDeploymentUrl } from "../utils/domains";
+
+// Latest preview deployment of each branch, newest first
+const getLatestPreviews = (deployments = []) => {
+  const seen = new Set();
+
+  return deployments.filter((deployment) => {
+    if (!isPreviewDeployment(deployment)) return false;
+
+    const key = deployment.pullRequest?.number
+      ? `pr-${deployment.pullRequest.number}`
+      : deployment.branch;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+function PreviewDeployments({ project, onDeploy }) {
+  const [branch, setBranch] = useState("");
+  const [isDeploying, setIsDeploying] = useState(false);
+  const [error, setError] = useState("");
+
+  const previews = getLatestPreviews(project.deployments);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const name = branch.trim();
+    if (!name) return;
+
+    if (project.branch && name === project.branch) {
+      setError(`${name} is the production branch. Use Rebuild instead.`);
+      return;
+    }
+
+    try {
+      setIsDeploying(true);
+      setError("");
+      await onDeploy(name);
+      setBranch("");
+    } catch (err) {
+      setError(err.message || "Failed to deploy preview");
+    } finally {
+      setIsDeploying(false);
+    }
+  };
+
+  return (
+    <div>
+      {!project.previewsEnabled && (
+        <p className="mb-4 text-sm text-gray-500">
+          Automatic previews are off. Turn them on in the project settings to
+          build every push to a non-production branch and every pull request.
+        </p>
+      )}
+
+      {previews.length === 0 ? (
+        <div className="p-4 border border-gray-200 rounded-md text-gray-500 mb-4">
+          No preview deployments yet.
+        </div>
+      ) : (
+        <ul className="divide-y divide-gray-200 border border-gray-200 rounded-md mb-4">
+          {previews.map((deployment) => {
+            const url = getDeploymentUrl(project, deployment);
+            const commit = getDeploymentCommit(deployment);
+            const isReady = normalizeStatus(deployment.status) === "success";
+
+            return (
+              <li
+                key={deployment.id}
+                className="px-4 py-3 flex items-center justify-between text-sm"
+              >
+                <div className="min-w-0">
+                  <div className="flex items-center space-x-2">
+                    <span className="font-mono text-gray-900 truncate">
+                      {deployment.branch}
+                    </span>
+                    {deployment.pullRequest?.number && (
+                      <a
+                        href={deployment.pullRequest.url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-xs px-2 py-0.5 bg-purple-100 text-purple-700 rounded hover:underline"
+                        title={deployment.pullRequest.title || ""}
+                      >
+                        PR #{deployment.pullRequest.number}
+                      </a>
+                    )}
+                  </div>
+                  <div className="mt-1 text-xs text-gray-500 space-x-2">
+                    {commit.sha && (
+                      <span className="font-mono">{shortSha(commit.sha)}</span>
+                    )}
+                    <span>{formatTimestamp(getStartedAt(deployment))}</span>
+                    {url && isReady && (
+                      <a
+                        href={url}
+                        target="_blank"
+                        rel="noopener noreferrer"
+                        className="text-blue-600 hover:underline"
+                      >
+                        {displayUrl(url)}
+                      </a>
+                    )}
+                  </div>
+                </div>
+                <div className="flex items-center space-x-3 ml-4">
+                  <span
+                    className={`font-medium ${getStatusColor(
+                      deployment.status
+                    )}`}
+                  >
+                    {getStatusLabel(deployment.status, "Unknown")}
+                    {isActiveState(deployment.status) && (
+                      <span className="ml-1 inline-block animate-pulse">⟳</span>
+                    )}
+                  </span>
+                  <Link
+                    to={`/project/${project.id}/deployments/${deployment.id}`}
+                    className="text-blue-600 hover:underline"
+                  >
+                    Details
+                  </Link>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      {error && <p className="mb-2 text-sm text-red-600">{error}</p>}
+      <form onSubmit={handleSubmit} className="flex space-x-2">
+        <input
+          type="text"
+          value={branch}
+          onChange={(e) => setBranch(e.target.value)}
+          placeholder="feature/my-branch"
+          className="flex-1 px-3 py-1 border border-gray-300 rounded-md text-sm font-mono focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        <button
+          type="submit"
+          disabled={isDeploying || !branch.trim()}
+          className={`py-1 px-4 rounded text-white text-sm ${
+            isDeploying || !branch.trim()
+              ? "bg-blue-400 cursor-not-allowed"
+              : "bg-blue-600 hover:bg-blue-700"
+          }`}
+        >
+          {isDeploying ? "Deploying..." : "Deploy Preview"}
+        </button>
+      </form>
+    </div>
+  );
+}
+
+export default PreviewDeployments;
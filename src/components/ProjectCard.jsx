@@ -1,52 +1,99 @@
 import React from "react";
+import {
+  getLiveDeploymentId,
+  getProductionDeployments,
+  getStatusColor,
+  getStatusDotClass,
+  getStatusLabel,
+  isActiveState,
+} from "../utils/deploymentState";
+import {
+  formatTimestamp,
+  getDeploymentCommit,
+  getStartedAt,
+  shortSha,
+} from "../utils/deploymentFormat";
+import { displayUrl, getProjectUrl } from "../utils/domains";
 
-function ProjectCard({ project }) {
-  // Helper function to determine status color
-  const getStatusColor = (status) => {
-    switch (status.toLowerCase()) {
-      case "deployed":
-        return "bg-green-500";
-      case "building":
-        return "bg-yellow-500";
-      case "failed":
-        return "bg-red-500";
-      default:
-        return "bg-gray-500";
-    }
-  };
+function ProjectCard({ project, onOpen, onRebuild, isRebuilding = false }) {
+  const latest = getProductionDeployments(project)[0];
+  const status = latest?.status;
+  const isActive = isActiveState(status);
+  const commit = getDeploymentCommit(latest);
+  // Only link the site once something is actually being served
+  const projectUrl = getLiveDeploymentId(project) && getProjectUrl(project);
 
   return (
-    <div className="bg-white p-5 rounded-lg shadow-md hover:shadow-lg transition-transform hover:-translate-y-1 cursor-pointer">
-      <h3 className="text-lg font-semibold text-gray-800 mb-4">
-        {project.name}
-      </h3>
-      <div className="flex items-center mb-4">
-        <span
-          className={`h-2 w-2 rounded-full mr-2 ${getStatusColor(
-            project.status
-          )}`}
-        ></span>
-        <span className="text-gray-700">{project.status}</span>
+    <div
+      onClick={onOpen}
+      className="bg-white p-5 rounded-lg shadow-md hover:shadow-lg transition-transform hover:-translate-y-1 cursor-pointer flex flex-col"
+    >
+      <div className="flex items-start justify-between mb-4">
+        <h3 className="text-lg font-semibold text-gray-800 truncate">
+          {project.name}
+        </h3>
+        <div className="flex items-center ml-2 shrink-0">
+          <span
+            className={`h-2 w-2 rounded-full mr-2 ${getStatusDotClass(status)}`}
+          ></span>
+          <span className={`text-sm ${getStatusColor(status)}`}>
+            {getStatusLabel(status)}
+            {isActive && (
+              <span className="ml-1 inline-block animate-pulse">⟳</span>
+            )}
+          </span>
+        </div>
       </div>
-      <div className="text-sm text-gray-600">
-        <p className="mb-2">
-          Deployed: {new Date(project.deployedAt).toLocaleDateString()}
-        </p>
-        {project.domain && (
-          <div className="flex items-center">
-            <span className="mr-2">Domain:</span>
+
+      <div className="text-sm text-gray-600 space-y-2 flex-1">
+        <div className="truncate">
+          {projectUrl ? (
             <a
-              href={`https://${project.domain}.sujal.codes`}
+              href={projectUrl}
               target="_blank"
               rel="noopener noreferrer"
               className="text-blue-600 hover:underline"
               onClick={(e) => e.stopPropagation()}
             >
-              {project.domain}.sujal.codes
+              {displayUrl(projectUrl)}
             </a>
-          </div>
+          ) : (
+            <span className="text-gray-400">Not live yet</span>
+          )}
+        </div>
+        <p>
+          Last deploy:{" "}
+          {latest ? formatTimestamp(getStartedAt(latest)) : "Never"}
+        </p>
+        {commit.sha && (
+          <p className="truncate" title={commit.message || ""}>
+            <span className="font-mono">{shortSha(commit.sha)}</span>
+            {commit.message && (
+              <span className="ml-2 text-gray-500">{commit.message}</span>
+            )}
+          </p>
         )}
       </div>
+
+      {onRebuild && (
+        <div className="mt-4 flex justify-end">
+          <button
+            type="button"
+            onClick={(e) => {
+              e.stopPropagation();
+              onRebuild();
+            }}
+            disabled={isRebuilding || isActive}
+            className={`text-sm py-1 px-3 border border-blue-600 text-blue-600 rounded ${
+              isRebuilding || isActive
+                ? "opacity-50 cursor-not-allowed"
+                : "hover:bg-blue-50"
+            }`}
+          >
+            {isRebuilding ? "Rebuilding..." : "Rebuild"}
+          </button>
+        </div>
+      )}
     </div>
   );
 }
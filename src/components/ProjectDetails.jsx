@@ -2,13 +2,45 @@ import React, { useState, useEffect, useRef } from "react";
 import {
   useParams,
   useSearchParams,
+  useLocation,
   Link,
   useNavigate,
 } from "react-router-dom";
 import LogViewer from "./LogViewer";
+import DeploymentHistory from "./DeploymentHistory";
 import DeployForm from "./DeployForm";
 import DeploymentModal from "./DeploymentModal";
+import EnvVarsPanel from "./EnvVarsPanel";
+import PreviewDeployments from "./PreviewDeployments";
+import DomainsPanel from "./DomainsPanel";
 import { useProjects } from "../context/ProjectContext";
+import api from "../api";
+import {
+  getLiveDeploymentId,
+  getProductionDeployments,
+  getStatusColor,
+  getStatusLabel,
+  isActiveState,
+} from "../utils/deploymentState";
+import { shortId } from "../utils/deploymentFormat";
+import { displayUrl, getProjectUrl } from "../utils/domains";
+import { getFrameworkLabel } from "../utils/buildConfig";
+import { formatLineRange, parseLineRange } from "../utils/logFormat";
+
+// Show the latest production deployment as running right away. Previews
+// share the list, so it isn't necessarily deployments[0]. Returns a copy;
+// the project object may belong to the context.
+const markProductionRunning = (project) => {
+  const latest = getProductionDeployments(project)[0];
+  const deployments = project?.deployments || [];
+
+  return {
+    ...project,
+    deployments: latest
+      ? deployments.map((d) => (d === latest ? { ...d, status: "running" } : d))
+      : [{ status: "running" }, ...deployments],
+  };
+};
 
 // Add a local loading state to your component
 
@@ -16,7 +48,12 @@ function ProjectDetails({ user, onLogout }) {
   const { id: projectId } = useParams();
   const [searchParams, setSearchParams] = useSearchParams();
   const urlDeploymentId = searchParams.get("deploymentId");
+  // Setting to open from a failure hint, e.g. ?edit=outputDirectory
+  const urlEditField = searchParams.get("edit");
   const navigate = useNavigate();
+  const location = useLocation();
+  // Line range from a log permalink, e.g. ?deploymentId=...#L120-L140
+  const linkedLines = parseLineRange(location.hash);
 
   const {
     getProjectById,
@@ -24,11 +61,22 @@ function ProjectDetails({ user, onLogout }) {
     updateProject,
     deleteProject,
     rebuildProject,
+    promoteDeployment,
+    cancelDeployment,
+    deployPreview,
+    addDomain,
+    removeDomain,
+    setPrimaryDomain,
+    refreshDomains,
   } = useProjects();
 
   const [project, setProject] = useState(null);
   const [showEditForm, setShowEditForm] = useState(false);
+  const [editFocusField, setEditFocusField] = useState(null);
   const [rebuildLoading, setRebuildLoading] = useState(false);
+  const [promotingId, setPromotingId] = useState(null);
+  const [cancelLoading, setCancelLoading] = useState(false);
+  const [actionError, setActionError] = useState(null);
 
   // Add these two local state variables
   const [isLoading, setIsLoading] = useState(true);
@@ -77,12 +125,18 @@ function ProjectDetails({ user, onLogout }) {
     loadProject();
   }, [projectId, getProjectById]); // Remove project from dependencies
 
-  // Effect 2: Set up polling for running projects
-  useEffect(() => {
-    if (!project) return; // Only run when project is loaded
+  // Effect 2: Set up polling for running projects. The project status
+  // follows production; previews are listed separately.
+  const latestProduction = getProductionDeployments(project)[0];
+  const latestStatus = latestProduction?.status;
+  const isDeploymentActive = isActiveState(latestStatus);
+  const hasActiveDeployment = Boolean(
+    project?.deployments?.some((d) => isActiveState(d.status))
+  );
 
-    // Only set up interval if project is in running state
-    if (project?.deployments?.[0]?.status?.toLowerCase() !== "running") return;
+  useEffect(() => {
+    // Only set up interval while a deployment is in progress
+    if (!hasActiveDeployment) return;
 
     const refreshInterval = setInterval(async () => {
       try {
@@ -96,7 +150,32 @@ function ProjectDetails({ user, onLogout }) {
     return () => {
       clearInterval(refreshInterval);
     };
-  }, [projectId, getProjectById, project?.deployments?.[0]?.status]); // Only depends on status
+  }, [projectId, getProjectById, hasActiveDeployment]);
+
+  // Open the setting a failure hint linked to, then drop it from the URL so
+  // a refresh doesn't reopen the form
+  const hasProject = Boolean(project);
+  useEffect(() => {
+    if (!urlEditField || !hasProject) return;
+
+    if (urlEditField === "envVars") {
+      document
+        .getElementById("env-vars")
+        ?.scrollIntoView({ behavior: "smooth", block: "start" });
+    } else {
+      setEditFocusField(urlEditField);
+      setShowEditForm(true);
+    }
+
+    setSearchParams(
+      (prev) => {
+        const next = new URLSearchParams(prev);
+        next.delete("edit");
+        return next;
+      },
+      { replace: true }
+    );
+  }, [urlEditField, hasProject, setSearchParams]);
 
   // Update handleRebuild to emphasize the running status
 
@@ -113,15 +192,7 @@ function ProjectDetails({ user, onLogout }) {
       }
 
       // First update UI to show running immediately
-      setProject((prev) => ({
-        ...prev,
-        deployments: prev.deployments
-          ? [
-              { ...prev.deployments[0], status: "running" },
-              ...prev.deployments.slice(1),
-            ]
-          : [{ status: "running" }],
-      }));
+      setProject(markProductionRunning);
 
       // Call rebuildProject and get the result with deploymentId
       const result = await rebuildProject(project.id);
@@ -130,12 +201,10 @@ function ProjectDetails({ user, onLogout }) {
       const refreshedProject = await getProjectById(projectId);
 
       // Make sure running status is preserved
-      if (refreshedProject && refreshedProject.deployments?.[0]) {
-        refreshedProject.deployments[0].status = "running";
+      if (refreshedProject) {
+        setProject(markProductionRunning(refreshedProject));
       }
 
-      setProject(refreshedProject);
-
       // Update URL with deploymentId
       if (result.deploymentId) {
         setSearchParams({ deploymentId: result.deploymentId });
@@ -147,13 +216,58 @@ function ProjectDetails({ user, onLogout }) {
     }
   };
 
-  const handleEditProject = async (updatedData) => {
+  const handleCancelDeployment = async () => {
+    const deploymentId = latestProduction?.id;
+    if (!deploymentId || cancelLoading) return;
+
+    if (!window.confirm("Cancel the running deployment?")) {
+      return;
+    }
+
     try {
-      const updatedProject = await updateProject(projectId, updatedData);
+      setCancelLoading(true);
+      setActionError(null);
+
+      await cancelDeployment(projectId, deploymentId);
+
+      // Mark it cancelled locally; LogViewer stops following on its own
+      setProject((prev) => ({
+        ...prev,
+        deployments: prev.deployments.map((d) =>
+          d.id === deploymentId
+            ? {
+                ...d,
+                status: "cancelled",
+                finishedAt: new Date().toISOString(),
+              }
+            : d
+        ),
+      }));
+    } catch (err) {
+      console.error("Error cancelling deployment:", err);
+      setActionError(err.message || "Failed to cancel deployment");
+    } finally {
+      setCancelLoading(false);
+    }
+  };
+
+  const handleEditProject = async (updatedData, options) => {
+    try {
+      const { project: updatedProject, deploymentId } = await updateProject(
+        projectId,
+        updatedData,
+        options
+      );
       setProject(updatedProject);
       setShowEditForm(false);
+
+      // Follow the new deployment's logs if the update triggered a rebuild
+      if (deploymentId) {
+        setSearchParams({ deploymentId });
+      }
       return { success: true };
     } catch (err) {
+      if (err.saved) setProject(err.project);
       return {
         success: false,
         error: err.message || "Failed to update project",
@@ -161,6 +275,79 @@ function ProjectDetails({ user, onLogout }) {
     }
   };
 
+  const handleDeployPreview = async (branch) => {
+    const deploymentId = await deployPreview(projectId, branch);
+    const refreshedProject = await getProjectById(projectId);
+    setProject(refreshedProject);
+    setSearchParams({ deploymentId });
+  };
+
+  // Domain changes only touch the domain list; the panel shows errors
+  const withDomains =
+    (action) =>
+    async (...args) => {
+      const domains = await action(projectId, ...args);
+      setProject((prev) => ({ ...prev, domains }));
+    };
+
+  const handleAddDomain = withDomains(addDomain);
+  const handleRemoveDomain = withDomains(removeDomain);
+  const handleSetPrimaryDomain = withDomains(setPrimaryDomain);
+  const handleRefreshDomains = withDomains(refreshDomains);
+
+  // Errors are shown by the panel itself. Resolves with whether a redeploy
+  // started so the panel can say if the new values are live.
+  const handleSaveEnvVars = async (envVars, options) => {
+    try {
+      const { project: updatedProject, deploymentId } = await updateProject(
+        projectId,
+        { envVars },
+        options
+      );
+      setProject(updatedProject);
+
+      if (deploymentId) {
+        setSearchParams({ deploymentId });
+      }
+      return { redeployed: Boolean(deploymentId) };
+    } catch (err) {
+      if (err.saved) setProject(err.project);
+      throw err;
+    }
+  };
+
+  const handlePromote = async (deployment, action) => {
+    const verb = action === "Rollback" ? "Roll back" : "Promote";
+    if (
+      !window.confirm(
+        `${verb} to deployment ${shortId(
+          deployment.id
+        )}? The live site will switch to this build immediately.`
+      )
+    ) {
+      return;
+    }
+
+    const previousLiveId = getLiveDeploymentId(project);
+
+    try {
+      setPromotingId(deployment.id);
+      setActionError(null);
+
+      // Show the switch right away, the context does the same
+      setProject((prev) => ({ ...prev, liveDeploymentId: deployment.id }));
+
+      const updatedProject = await promoteDeployment(projectId, deployment.id);
+      setProject((prev) => ({ ...prev, ...updatedProject }));
+    } catch (err) {
+      console.error("Error promoting deployment:", err);
+      setProject((prev) => ({ ...prev, liveDeploymentId: previousLiveId }));
+      setActionError(err.message || `Failed to ${verb.toLowerCase()}`);
+    } finally {
+      setPromotingId(null);
+    }
+  };
+
   // Update the handleDeleteProject function
 
   const handleDeleteProject = async () => {
@@ -175,19 +362,8 @@ function ProjectDetails({ user, onLogout }) {
       // Delete the project
       await deleteProject(projectId);
 
-      // Try to cancel any pending requests for this project
-      if (window.axiosCancelTokens) {
-        window.axiosCancelTokens.forEach((cancel) => {
-          if (typeof cancel === "function") {
-            try {
-              cancel("Project deleted");
-            } catch (err) {
-              // Ignore cancel errors
-              console.error(err);
-            }
-          }
-        });
-      }
+      // Cancel any pending requests for this project
+      api.cancelAll("Project deleted");
 
       // Navigate to dashboard with replace: true to prevent back navigation
       navigate("/dashboard", { replace: true });
@@ -197,25 +373,16 @@ function ProjectDetails({ user, onLogout }) {
     }
   };
 
-  // Helper function to determine status color
-  const getStatusColor = (status) => {
-    if (!status) return "text-gray-500";
-
-    switch (status?.toLowerCase()) {
-      case "deployed":
-      case "success":
-        return "text-green-500";
-      case "building":
-      case "running":
-        return "text-yellow-500";
-      case "failed":
-      case "failure":
-        return "text-red-500";
-      case "queued":
-        return "text-blue-500";
-      default:
-        return "text-gray-500";
-    }
+  // Link to a deployment's logs, optionally anchored to a line range
+  const getLogPermalink = (deploymentId) => (range) =>
+    `/project/${projectId}?deploymentId=${encodeURIComponent(deploymentId)}${
+      range ? `#${formatLineRange(range)}` : ""
+    }`;
+
+  // Keep the address bar on the viewed deployment and its selected lines,
+  // so it's always a shareable link
+  const handleLogSelectionChange = (deploymentId) => (range) => {
+    navigate(getLogPermalink(deploymentId)(range), { replace: true });
   };
 
   // Skeleton UI for project details
@@ -308,7 +475,7 @@ function ProjectDetails({ user, onLogout }) {
   //   };
 
   // Modify the part after loading check:
-  if (isLoading) {
+  if (isLoading && !project) {
     return <ProjectDetailsSkeleton />;
   }
 
@@ -356,6 +523,21 @@ function ProjectDetails({ user, onLogout }) {
     );
   }
 
+  const liveDeploymentId = getLiveDeploymentId(project);
+  // Without an explicit live id the newest successful build is served
+  const newestSuccessfulId = getLiveDeploymentId({
+    deployments: project.deployments,
+  });
+
+  // The primary custom domain once it's active, else the subdomain
+  const projectUrl = getProjectUrl(project);
+
+  // Deployment whose logs are shown: the one in the URL, else the latest
+  const viewedDeploymentId = urlDeploymentId || project?.deployments?.[0]?.id;
+  const viewedDeployment = project?.deployments?.find(
+    (d) => d.id === viewedDeploymentId
+  );
+
   return (
     <div className="min-h-screen bg-gray-50">
       <header className="bg-white py-4 px-6 shadow">
@@ -385,14 +567,9 @@ function ProjectDetails({ user, onLogout }) {
 
             <div className="flex justify-between py-3 border-b border-gray-200">
               <span className="text-gray-600">Status:</span>
-              <span
-                className={`font-medium ${getStatusColor(
-                  project?.deployments?.[0]?.status
-                )}`}
-              >
-                {project?.deployments?.[0]?.status || "Not Deployed"}
-                {project?.deployments?.[0]?.status?.toLowerCase() ===
-                  "running" && (
+              <span className={`font-medium ${getStatusColor(latestStatus)}`}>
+                {getStatusLabel(latestStatus, "Not Deployed")}
+                {isDeploymentActive && (
                   <span className="ml-1 inline-block animate-pulse">⟳</span>
                 )}
               </span>
@@ -410,38 +587,77 @@ function ProjectDetails({ user, onLogout }) {
               </a>
             </div>
 
-            {project.subDomain && (
+            <div className="flex justify-between py-3 border-b border-gray-200">
+              <span className="text-gray-600">Production Branch:</span>
+              <span className="font-mono text-sm">
+                {project.branch || "default"}
+              </span>
+            </div>
+
+            {projectUrl && (
               <div className="flex justify-between py-3 border-b border-gray-200">
                 <span className="text-gray-600">Domain: </span>
                 <a
-                  href={`https://${project.subDomain}.sujal.codes`}
+                  href={projectUrl}
                   target="_blank"
                   rel="noopener noreferrer"
                   className="text-blue-600 hover:underline"
                 >
-                  {project.subDomain}.sujal.codes
+                  {displayUrl(projectUrl)}
                 </a>
               </div>
             )}
 
+            <div className="flex justify-between py-3 border-b border-gray-200">
+              <span className="text-gray-600">Live:</span>
+              {liveDeploymentId ? (
+                <Link
+                  to={`/project/${projectId}/deployments/${liveDeploymentId}`}
+                  className="font-mono text-sm text-green-600 hover:underline"
+                >
+                  {shortId(liveDeploymentId)}
+                  {liveDeploymentId !== newestSuccessfulId && " (rolled back)"}
+                </Link>
+              ) : (
+                <span className="text-gray-500">Nothing live yet</span>
+              )}
+            </div>
+
             <div className="flex justify-between py-3 border-b border-gray-200">
               <span className="text-gray-600">Deployed:</span>
               <span>
-                {project.deployments && project.deployments[0]?.updatedAt
-                  ? new Date(project.deployments[0].updatedAt).toLocaleString()
+                {latestProduction?.updatedAt
+                  ? new Date(latestProduction.updatedAt).toLocaleString()
                   : "Not deployed yet"}
               </span>
             </div>
 
-            {project.buildCommand && (
+            {project.framework && (
               <div className="flex justify-between py-3 border-b border-gray-200">
-                <span className="text-gray-600">Build Command:</span>
-                <span className="font-mono text-sm bg-gray-100 px-2 py-1 rounded">
-                  {project.buildCommand}
-                </span>
+                <span className="text-gray-600">Framework:</span>
+                <span>{getFrameworkLabel(project.framework)}</span>
               </div>
             )}
 
+            {[
+              { key: "rootDirectory", label: "Root Directory" },
+              { key: "installCommand", label: "Install Command" },
+              { key: "buildCommand", label: "Build Command" },
+              { key: "outputDirectory", label: "Output Directory" },
+            ]
+              .filter(({ key }) => project[key])
+              .map(({ key, label }) => (
+                <div
+                  key={key}
+                  className="flex justify-between py-3 border-b border-gray-200"
+                >
+                  <span className="text-gray-600">{label}:</span>
+                  <span className="font-mono text-sm bg-gray-100 px-2 py-1 rounded">
+                    {project[key]}
+                  </span>
+                </div>
+              ))}
+
             {project.environment && (
               <div className="flex justify-between py-3 border-b border-gray-200">
                 <span className="text-gray-600">Environment:</span>
@@ -449,7 +665,7 @@ function ProjectDetails({ user, onLogout }) {
               </div>
             )}
 
-            <div className="mt-6">
+            <div className="mt-6 flex space-x-2">
               <button
                 onClick={handleRebuild}
                 disabled={rebuildLoading}
@@ -501,11 +717,26 @@ function ProjectDetails({ user, onLogout }) {
                   </>
                 )}
               </button>
+
+              {isDeploymentActive && (
+                <button
+                  onClick={handleCancelDeployment}
+                  disabled={cancelLoading}
+                  className={`px-4 py-2 border border-red-600 text-red-600 rounded hover:bg-red-50 transition-colors duration-150 ${
+                    cancelLoading ? "opacity-50 cursor-not-allowed" : ""
+                  }`}
+                >
+                  {cancelLoading ? "Cancelling..." : "Cancel"}
+                </button>
+              )}
             </div>
 
             <div className="mt-4 flex space-x-2">
               <button
-                onClick={() => setShowEditForm(true)}
+                onClick={() => {
+                  setEditFocusField(null);
+                  setShowEditForm(true);
+                }}
                 className="flex-1 py-2 px-4 border border-blue-600 text-blue-600 rounded hover:bg-blue-50 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-opacity-50"
               >
                 Edit
@@ -527,20 +758,26 @@ function ProjectDetails({ user, onLogout }) {
               Deployment Logs
             </h3>
 
-            {urlDeploymentId || project?.deployments?.[0]?.id ? (
+            {viewedDeploymentId ? (
               <>
                 <div className="mb-4 flex items-center justify-between">
                   {/* Status display unchanged */}
                 </div>
 
                 <LogViewer
-                  deploymentId={
-                    urlDeploymentId || project?.deployments?.[0]?.id
-                  }
+                  deploymentId={viewedDeploymentId}
                   projectId={projectId}
-                  key={`log-${
-                    urlDeploymentId || project?.deployments?.[0]?.id
-                  }`}
+                  initialStatus={viewedDeployment?.status}
+                  initialSelection={linkedLines}
+                  onSelectionChange={handleLogSelectionChange(
+                    viewedDeploymentId
+                  )}
+                  getPermalink={(range) =>
+                    `${window.location.origin}${getLogPermalink(
+                      viewedDeploymentId
+                    )(range)}`
+                  }
+                  key={`log-${viewedDeploymentId}`}
                 />
               </>
             ) : (
@@ -549,6 +786,58 @@ function ProjectDetails({ user, onLogout }) {
               </div>
             )}
           </div>
+
+          <div className="bg-white p-6 rounded-lg shadow mt-6">
+            <h3 className="text-lg font-semibold text-gray-800 mb-4">
+              Deployment History
+            </h3>
+            {actionError && (
+              <div className="mb-4 bg-red-50 text-red-700 p-3 rounded border border-red-300">
+                {actionError}
+              </div>
+            )}
+            <DeploymentHistory
+              projectId={projectId}
+              deployments={project.deployments}
+              liveDeploymentId={liveDeploymentId}
+              productionBranch={project.branch}
+              promotingId={promotingId}
+              onPromote={handlePromote}
+            />
+          </div>
+
+          <div className="bg-white p-6 rounded-lg shadow mt-6">
+            <h3 className="text-lg font-semibold text-gray-800 mb-4">
+              Domains
+            </h3>
+            <DomainsPanel
+              project={project}
+              onAdd={handleAddDomain}
+              onRemove={handleRemoveDomain}
+              onSetPrimary={handleSetPrimaryDomain}
+              onRefresh={handleRefreshDomains}
+            />
+          </div>
+
+          <div className="bg-white p-6 rounded-lg shadow mt-6">
+            <h3 className="text-lg font-semibold text-gray-800 mb-4">
+              Preview Deployments
+            </h3>
+            <PreviewDeployments
+              project={project}
+              onDeploy={handleDeployPreview}
+            />
+          </div>
+
+          <div id="env-vars" className="bg-white p-6 rounded-lg shadow mt-6">
+            <h3 className="text-lg font-semibold text-gray-800 mb-4">
+              Environment Variables
+            </h3>
+            <EnvVarsPanel
+              envVars={project.envVars}
+              onSave={handleSaveEnvVars}
+            />
+          </div>
         </div>
       </div>
 
@@ -557,6 +846,7 @@ function ProjectDetails({ user, onLogout }) {
           <div className="w-full max-w-lg mx-4">
             <DeployForm
               existingProject={project}
+              focusField={editFocusField}
               onSubmit={handleEditProject}
               onCancel={() => setShowEditForm(false)}
             />
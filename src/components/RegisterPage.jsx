@@ -1,8 +1,12 @@
 import React, { useState } from "react";
-import { Link } from "react-router-dom";
-import axios from "axios";
+import { Link, useNavigate } from "react-router-dom";
+import api from "../api";
+import { startGithubOAuth } from "../utils/github";
+import PasswordStrengthMeter from "./PasswordStrengthMeter";
+import { validateNewPassword } from "../utils/password";
 
 function RegisterPage({ onRegister }) {
+  const navigate = useNavigate();
   const [formData, setFormData] = useState({
     name: "",
     email: "",
@@ -11,6 +15,7 @@ function RegisterPage({ onRegister }) {
   });
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -18,39 +23,51 @@ function RegisterPage({ onRegister }) {
       ...prev,
       [name]: value,
     }));
+
+    if (fieldErrors[name]) {
+      setFieldErrors((prev) => ({ ...prev, [name]: undefined }));
+    }
   };
 
+  // Flag a mismatch as soon as the confirmation is as long as the password
+  const confirmMismatch =
+    formData.confirmPassword.length >= formData.password.length &&
+    formData.confirmPassword !== formData.password;
+
   const handleSubmit = async (e) => {
     e.preventDefault();
+
+    const errors = validateNewPassword(
+      formData.password,
+      formData.confirmPassword
+    );
+    if (Object.keys(errors).length > 0) {
+      setFieldErrors(errors);
+      return;
+    }
+
     setIsLoading(true);
     setError(null);
 
     try {
       // Make the API call to your backend
-      const response = await axios.post(
-        `${import.meta.env.VITE_PROD_URL}/auth/register`,
-        {
-          name: formData.name,
-          email: formData.email,
-          password: formData.password,
-        }
-      );
-
-      // Check if registration was successful
-      if (response.data.status === "success") {
-        // Save the token
-        localStorage.setItem("token", response.data.token);
-
-        // Then call the onRegister handler with user data
-        onRegister(response.data.user);
-      } else {
-        setError(response.data.message || "Registration failed");
+      const session = await api.auth.register({
+        name: formData.name,
+        email: formData.email,
+        password: formData.password,
+      });
+
+      // New accounts confirm their email before they can sign in
+      if (session.verificationRequired || !session.token) {
+        navigate(`/verify-email?email=${encodeURIComponent(formData.email)}`);
+        return;
       }
+
+      // Hand the tokens and user over to the session
+      onRegister(session);
     } catch (err) {
       console.error("Registration error:", err);
-      setError(
-        err.response?.data?.message || "Failed to register. Please try again."
-      );
+      setError(err.message || "Failed to register. Please try again.");
     } finally {
       setIsLoading(false);
     }
@@ -137,9 +154,17 @@ function RegisterPage({ onRegister }) {
                   required
                   value={formData.password}
                   onChange={handleChange}
-                  className="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                  className={`appearance-none block w-full px-3 py-2 border ${
+                    fieldErrors.password ? "border-red-500" : "border-gray-300"
+                  } rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm`}
                 />
               </div>
+              <PasswordStrengthMeter password={formData.password} />
+              {fieldErrors.password && (
+                <p className="mt-1 text-sm text-red-600">
+                  {fieldErrors.password}
+                </p>
+              )}
             </div>
 
             <div>
@@ -158,9 +183,18 @@ function RegisterPage({ onRegister }) {
                   required
                   value={formData.confirmPassword}
                   onChange={handleChange}
-                  className="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                  className={`appearance-none block w-full px-3 py-2 border ${
+                    fieldErrors.confirmPassword || confirmMismatch
+                      ? "border-red-500"
+                      : "border-gray-300"
+                  } rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm`}
                 />
               </div>
+              {(fieldErrors.confirmPassword || confirmMismatch) && (
+                <p className="mt-1 text-sm text-red-600">
+                  Passwords don't match
+                </p>
+              )}
             </div>
 
             <div>
@@ -190,8 +224,9 @@ function RegisterPage({ onRegister }) {
 
             <div className="mt-6 grid grid-cols-2 gap-3">
               <div>
-                <a
-                  href="#"
+                <button
+                  type="button"
+                  onClick={() => startGithubOAuth({ returnTo: "/dashboard" })}
                   className="w-full inline-flex justify-center py-2 px-4 border border-gray-300 rounded-md shadow-sm bg-white text-sm font-medium text-gray-500 hover:bg-gray-50"
                 >
                   <span className="sr-only">Sign up with GitHub</span>
@@ -207,7 +242,7 @@ function RegisterPage({ onRegister }) {
                       clipRule="evenodd"
                     />
                   </svg>
-                </a>
+                </button>
               </div>
 
               <div>
@@ -0,0 +1,188 @@
+import React, { useState, useEffect } from "react";
+import { useLocation } from "react-router-dom";
+import api from "../api";
+import useDebouncedValue from "../hooks/useDebouncedValue";
+import { parseGithubRepo, startGithubOAuth } from "../utils/github";
+
+// Search the connected GitHub account's repositories. Picking one fills
+// gitUrl and branch through onChange; the branch list is exposed as a
+// <datalist> so the form's branch input can suggest it.
+function RepoPicker({ gitUrl, onChange, branchListId }) {
+  const location = useLocation();
+  const [connection, setConnection] = useState(null);
+  const [query, setQuery] = useState("");
+  const [repos, setRepos] = useState([]);
+  const [isLoadingRepos, setIsLoadingRepos] = useState(false);
+  const [branches, setBranches] = useState([]);
+  const [error, setError] = useState("");
+
+  const debouncedQuery = useDebouncedValue(query.trim(), 300);
+  const selectedFullName = parseGithubRepo(gitUrl);
+  const selectedRepo = repos.find((repo) => repo.fullName === selectedFullName);
+  const returnTo = `${location.pathname}${location.search}`;
+
+  useEffect(() => {
+    let cancelled = false;
+
+    api.github
+      .status()
+      .then((status) => !cancelled && setConnection(status))
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("Error checking GitHub connection:", err);
+        // Manual URL entry still works without GitHub
+        setConnection({ connected: false });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  useEffect(() => {
+    if (!connection?.connected) return;
+
+    let cancelled = false;
+    setIsLoadingRepos(true);
+
+    api.github
+      .repos({ query: debouncedQuery })
+      .then((list) => {
+        if (cancelled) return;
+        setRepos(list);
+        setError("");
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("Error loading repositories:", err);
+        setError(err.message || "Failed to load repositories");
+      })
+      .finally(() => !cancelled && setIsLoadingRepos(false));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [connection, debouncedQuery]);
+
+  // Branch suggestions follow whatever repository the URL points at
+  useEffect(() => {
+    setBranches([]);
+    if (!connection?.connected || !selectedFullName) return;
+
+    let cancelled = false;
+
+    api.github
+      .branches(selectedFullName)
+      .then((list) => !cancelled && setBranches(list))
+      .catch((err) => console.error("Error loading branches:", err));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [connection, selectedFullName]);
+
+  const handleSelect = (repo) => {
+    onChange({
+      gitUrl: repo.htmlUrl || `https://github.com/${repo.fullName}`,
+      branch: repo.defaultBranch || "",
+    });
+  };
+
+  if (!connection) return null;
+
+  if (!connection.connected) {
+    return (
+      <div className="flex items-center justify-between p-3 border border-gray-200 rounded-md bg-gray-50">
+        <span className="text-sm text-gray-600">
+          Connect GitHub to pick a repository instead of pasting its URL.
+        </span>
+        <button
+          type="button"
+          onClick={() => startGithubOAuth({ returnTo })}
+          className="ml-3 px-3 py-1 bg-gray-800 text-white rounded-md text-sm hover:bg-gray-900"
+        >
+          Connect GitHub
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="border border-gray-200 rounded-md">
+      <div className="p-3 border-b border-gray-200 flex items-center justify-between">
+        <input
+          type="text"
+          value={query}
+          onChange={(e) => setQuery(e.target.value)}
+          placeholder="Search your repositories"
+          className="flex-1 px-3 py-1 border border-gray-300 rounded-md text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+        {connection.login && (
+          <span className="ml-3 text-xs text-gray-500">
+            as {connection.login}
+          </span>
+        )}
+      </div>
+
+      {error && <p className="p-3 text-sm text-red-600">{error}</p>}
+
+      <ul className="max-h-48 overflow-y-auto divide-y divide-gray-100">
+        {isLoadingRepos && repos.length === 0 ? (
+          <li className="p-3 text-sm text-gray-500">Loading repositories...</li>
+        ) : repos.length === 0 ? (
+          <li className="p-3 text-sm text-gray-500">No repositories found.</li>
+        ) : (
+          repos.map((repo) => (
+            <li key={repo.id}>
+              <button
+                type="button"
+                onClick={() => handleSelect(repo)}
+                className={`w-full text-left px-3 py-2 text-sm flex items-center justify-between hover:bg-gray-50 ${
+                  repo.fullName === selectedFullName ? "bg-blue-50" : ""
+                }`}
+              >
+                <span className="font-mono text-gray-800">{repo.fullName}</span>
+                <span className="space-x-1">
+                  {repo.private && (
+                    <span className="text-xs px-2 py-0.5 bg-gray-100 text-gray-700 rounded">
+                      Private
+                    </span>
+                  )}
+                  {repo.hasAccess === false && (
+                    <span className="text-xs px-2 py-0.5 bg-yellow-100 text-yellow-800 rounded">
+                      Needs access
+                    </span>
+                  )}
+                </span>
+              </button>
+            </li>
+          ))
+        )}
+      </ul>
+
+      {selectedRepo?.hasAccess === false && (
+        <div className="p-3 border-t border-gray-200 bg-yellow-50 text-sm text-yellow-800 flex items-center justify-between">
+          <span>
+            {selectedRepo.fullName} is private and can't be cloned until you
+            grant access.
+          </span>
+          <button
+            type="button"
+            onClick={() => startGithubOAuth({ returnTo, scope: "repo" })}
+            className="ml-3 px-3 py-1 border border-yellow-600 text-yellow-800 rounded-md hover:bg-yellow-100"
+          >
+            Grant access
+          </button>
+        </div>
+      )}
+
+      <datalist id={branchListId}>
+        {branches.map((b) => (
+          <option key={b.name} value={b.name} />
+        ))}
+      </datalist>
+    </div>
+  );
+}
+
+export default RepoPicker;
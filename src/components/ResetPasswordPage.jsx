@@ -0,0 +1,185 @@
+import React, { useState } from "react";
+import { Link, useNavigate, useParams } from "react-router-dom";
+import api from "../api";
+import PasswordStrengthMeter from "./PasswordStrengthMeter";
+import { validateNewPassword } from "../utils/password";
+import { getRetryAfter } from "../utils/rateLimit";
+
+const isExpiredLink = (err) =>
+  err.status === 410 ||
+  err.code === "TOKEN_EXPIRED" ||
+  err.code === "TOKEN_INVALID";
+
+function ResetPasswordPage() {
+  const navigate = useNavigate();
+  const { token } = useParams();
+
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [fieldErrors, setFieldErrors] = useState({});
+  const [isLoading, setIsLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [linkExpired, setLinkExpired] = useState(false);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    const errors = validateNewPassword(password, confirmPassword);
+    setFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    setIsLoading(true);
+    setError("");
+
+    try {
+      await api.auth.resetPassword(token, password);
+      navigate("/login", {
+        replace: true,
+        state: {
+          message:
+            "Your password has been reset. Sign in with your new password.",
+        },
+      });
+    } catch (err) {
+      console.error("Password reset error:", err);
+      if (isExpiredLink(err)) {
+        setLinkExpired(true);
+      } else if (err.status === 429) {
+        setError(
+          `Too many attempts. Please wait ${getRetryAfter(
+            err
+          )} seconds and try again.`
+        );
+      } else {
+        setError(err.message || "Failed to reset your password.");
+      }
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  const inputClass = (field) =>
+    `appearance-none block w-full px-3 py-2 border ${
+      fieldErrors[field] ? "border-red-500" : "border-gray-300"
+    } rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm`;
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          Choose a new password
+        </h2>
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10">
+          {linkExpired ? (
+            <div className="text-center">
+              <p className="text-sm text-gray-700 mb-4">
+                This reset link has expired or was already used. Request a new
+                one to continue.
+              </p>
+              <Link
+                to="/forgot-password"
+                className="inline-flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white bg-blue-600 hover:bg-blue-700"
+              >
+                Request a new link
+              </Link>
+            </div>
+          ) : (
+            <>
+              {error && (
+                <div
+                  className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded relative"
+                  role="alert"
+                >
+                  <span className="block sm:inline">{error}</span>
+                </div>
+              )}
+
+              <form className="space-y-6" onSubmit={handleSubmit}>
+                <div>
+                  <label
+                    htmlFor="password"
+                    className="block text-sm font-medium text-gray-700"
+                  >
+                    New password
+                  </label>
+                  <div className="mt-1">
+                    <input
+                      id="password"
+                      name="password"
+                      type="password"
+                      autoComplete="new-password"
+                      required
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      className={inputClass("password")}
+                    />
+                  </div>
+                  <PasswordStrengthMeter password={password} />
+                  {fieldErrors.password && (
+                    <p className="mt-1 text-sm text-red-600">
+                      {fieldErrors.password}
+                    </p>
+                  )}
+                </div>
+
+                <div>
+                  <label
+                    htmlFor="confirmPassword"
+                    className="block text-sm font-medium text-gray-700"
+                  >
+                    Confirm new password
+                  </label>
+                  <div className="mt-1">
+                    <input
+                      id="confirmPassword"
+                      name="confirmPassword"
+                      type="password"
+                      autoComplete="new-password"
+                      required
+                      value={confirmPassword}
+                      onChange={(e) => setConfirmPassword(e.target.value)}
+                      className={inputClass("confirmPassword")}
+                    />
+                  </div>
+                  {fieldErrors.confirmPassword && (
+                    <p className="mt-1 text-sm text-red-600">
+                      {fieldErrors.confirmPassword}
+                    </p>
+                  )}
+                </div>
+
+                <div>
+                  <button
+                    type="submit"
+                    disabled={isLoading}
+                    className={`w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white ${
+                      isLoading
+                        ? "bg-blue-400"
+                        : "bg-blue-600 hover:bg-blue-700"
+                    } focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500`}
+                  >
+                    {isLoading ? "Saving..." : "Reset password"}
+                  </button>
+                </div>
+              </form>
+            </>
+          )}
+
+          <div className="mt-6 text-center">
+            <Link
+              to="/login"
+              className="text-sm font-medium text-blue-600 hover:text-blue-500"
+            >
+              Back to sign in
+            </Link>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default ResetPasswordPage;
@@ -0,0 +1,28 @@
+import React from "react";
+import { useAuth } from "../context/AuthContext";
+
+function SessionExpiredBanner() {
+  const { sessionExpired, dismissSessionExpired } = useAuth();
+
+  if (!sessionExpired) return null;
+
+  return (
+    <div
+      className="bg-yellow-50 border-b border-yellow-200 text-yellow-800 px-4 py-3 flex items-center justify-between"
+      role="alert"
+    >
+      <span className="text-sm">
+        Your session has expired. Please sign in again to continue.
+      </span>
+      <button
+        onClick={dismissSessionExpired}
+        className="text-sm text-yellow-700 hover:text-yellow-900"
+        aria-label="Dismiss"
+      >
+        ✕
+      </button>
+    </div>
+  );
+}
+
+export default SessionExpiredBanner;
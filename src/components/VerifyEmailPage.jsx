@@ -0,0 +1,177 @@
+import React, { useState, useEffect, useRef } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import api from "../api";
+import useCooldown from "../hooks/useCooldown";
+import { getRetryAfter } from "../utils/rateLimit";
+
+// Wait this long before the verification email can be sent again
+const RESEND_COOLDOWN = 60;
+
+function VerifyEmailPage({ onVerified }) {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+
+  const [email, setEmail] = useState(searchParams.get("email") || "");
+  const [isVerifying, setIsVerifying] = useState(Boolean(token));
+  const [error, setError] = useState("");
+  const [message, setMessage] = useState("");
+  const [isResending, setIsResending] = useState(false);
+  const [cooldown, startCooldown] = useCooldown();
+
+  // The link is single-use; don't send it twice in StrictMode
+  const verifiedRef = useRef(null);
+
+  useEffect(() => {
+    if (!token || verifiedRef.current === token) return;
+    verifiedRef.current = token;
+
+    const verify = async () => {
+      try {
+        const session = await api.auth.verifyEmail(token);
+
+        if (session?.token) {
+          // Signing in sends the user on to the dashboard
+          onVerified(session);
+        } else {
+          navigate("/login", {
+            replace: true,
+            state: { message: "Email verified. Sign in to continue." },
+          });
+        }
+      } catch (err) {
+        console.error("Email verification error:", err);
+        setError(
+          err.status === 410 || err.code === "TOKEN_EXPIRED"
+            ? "This verification link has expired. Request a new one below."
+            : err.message || "Failed to verify your email."
+        );
+        setIsVerifying(false);
+      }
+    };
+
+    verify();
+  }, [token, onVerified, navigate]);
+
+  const handleResend = async (e) => {
+    e.preventDefault();
+    setIsResending(true);
+    setError("");
+    setMessage("");
+
+    try {
+      await api.auth.resendVerification(email);
+      setMessage(`We sent a new verification link to ${email}.`);
+      startCooldown(RESEND_COOLDOWN);
+    } catch (err) {
+      console.error("Resend verification error:", err);
+      if (err.status === 429) {
+        const retryAfter = getRetryAfter(err, RESEND_COOLDOWN);
+        setError(
+          `Too many requests. Please wait ${retryAfter} seconds and try again.`
+        );
+        startCooldown(retryAfter);
+      } else {
+        setError(err.message || "Failed to resend the verification email.");
+      }
+    } finally {
+      setIsResending(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col justify-center py-12 sm:px-6 lg:px-8">
+      <div className="sm:mx-auto sm:w-full sm:max-w-md">
+        <h2 className="mt-6 text-center text-3xl font-extrabold text-gray-900">
+          {isVerifying ? "Verifying your email" : "Check your inbox"}
+        </h2>
+        {!isVerifying && !token && (
+          <p className="mt-2 text-center text-sm text-gray-600">
+            We sent a verification link to{" "}
+            <span className="font-medium">{email || "your email address"}</span>
+            . Open it to activate your account.
+          </p>
+        )}
+      </div>
+
+      <div className="mt-8 sm:mx-auto sm:w-full sm:max-w-md">
+        <div className="bg-white py-8 px-4 shadow sm:rounded-lg sm:px-10">
+          {isVerifying ? (
+            <div className="flex justify-center py-4">
+              <div className="animate-spin rounded-full h-10 w-10 border-t-2 border-b-2 border-blue-500"></div>
+            </div>
+          ) : (
+            <>
+              {error && (
+                <div
+                  className="mb-4 bg-red-50 border border-red-200 text-red-700 px-4 py-3 rounded relative"
+                  role="alert"
+                >
+                  <span className="block sm:inline">{error}</span>
+                </div>
+              )}
+              {message && (
+                <div className="mb-4 bg-green-50 border border-green-200 text-green-700 px-4 py-3 rounded">
+                  {message}
+                </div>
+              )}
+
+              <form className="space-y-6" onSubmit={handleResend}>
+                <div>
+                  <label
+                    htmlFor="email"
+                    className="block text-sm font-medium text-gray-700"
+                  >
+                    Didn't get the email?
+                  </label>
+                  <div className="mt-1">
+                    <input
+                      id="email"
+                      name="email"
+                      type="email"
+                      autoComplete="email"
+                      required
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                      className="appearance-none block w-full px-3 py-2 border border-gray-300 rounded-md shadow-sm placeholder-gray-400 focus:outline-none focus:ring-blue-500 focus:border-blue-500 sm:text-sm"
+                    />
+                  </div>
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={isResending || cooldown > 0}
+                  className={`w-full flex justify-center py-2 px-4 border border-transparent rounded-md shadow-sm text-sm font-medium text-white ${
+                    isResending || cooldown > 0
+                      ? "bg-blue-400"
+                      : "bg-blue-600 hover:bg-blue-700"
+                  } focus:outline-none focus:ring-2 focus:ring-offset-2 focus:ring-blue-500`}
+                >
+                  {isResending
+                    ? "Sending..."
+                    : cooldown > 0
+                    ? `Resend in ${cooldown}s`
+                    : "Resend verification email"}
+                </button>
+              </form>
+            </>
+          )}
+
+          <div className="mt-6 text-center">
+            <p className="text-sm text-gray-600">
+              Already verified?{" "}
+              <Link
+                to="/login"
+                className="font-medium text-blue-600 hover:text-blue-500"
+              >
+                Sign in
+              </Link>
+            </p>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default VerifyEmailPage;
@@ -0,0 +1,187 @@
+import React, {
+  createContext,
+  useContext,
+  useState,
+  useEffect,
+  useRef,
+  useCallback,
+} from "react";
+import { useNavigate } from "react-router-dom";
+import api from "../api";
+import {
+  SESSION_KEYS,
+  clearSession,
+  getTokenExpiry,
+  loadSession,
+  saveSession,
+} from "../utils/session";
+
+const AuthContext = createContext();
+export const useAuth = () => useContext(AuthContext);
+
+// Refresh the access token this long before it expires
+const REFRESH_MARGIN = 60 * 1000;
+// setTimeout overflows past ~24.8 days
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+export const AuthProvider = ({ children }) => {
+  const navigate = useNavigate();
+  const [session, setSession] = useState(() => loadSession());
+  const [sessionExpired, setSessionExpired] = useState(false);
+
+  // Shared by every caller while a refresh is in flight
+  const refreshRef = useRef(null);
+  const tokenRef = useRef(session.token);
+  tokenRef.current = session.token;
+
+  const endSession = useCallback(
+    ({ expired = false } = {}) => {
+      const { refreshToken } = loadSession();
+
+      clearSession();
+      api.cancelAll(expired ? "Session expired" : "Logged out");
+      setSession(loadSession());
+      setSessionExpired(expired);
+      navigate("/login", { replace: true });
+
+      if (!expired && refreshToken) {
+        api.auth
+          .logout(refreshToken)
+          .catch((err) => console.error("Error revoking session:", err));
+      }
+    },
+    [navigate]
+  );
+
+  const login = useCallback((newSession) => {
+    saveSession(newSession);
+    setSession(loadSession());
+    setSessionExpired(false);
+  }, []);
+
+  const logout = useCallback(() => endSession(), [endSession]);
+
+  /**
+   * Get a new access token. Resolves true on success. A rejected refresh
+   * token ends the session; network errors leave it alone so a later
+   * attempt can succeed.
+   */
+  const refreshSession = useCallback(() => {
+    if (refreshRef.current) return refreshRef.current;
+
+    refreshRef.current = (async () => {
+      // Yield once so refreshRef is set before the finally below clears it,
+      // even on the paths that return without awaiting anything
+      await null;
+
+      try {
+        // Another tab may have refreshed already; use its token rather than
+        // spending the (possibly rotated) refresh token a second time
+        const stored = loadSession();
+        const storedExpiry = getTokenExpiry(stored.token);
+        if (
+          stored.token &&
+          stored.token !== tokenRef.current &&
+          (!storedExpiry || storedExpiry - Date.now() > REFRESH_MARGIN)
+        ) {
+          setSession(stored);
+          return true;
+        }
+
+        const { refreshToken } = stored;
+        if (!refreshToken) {
+          endSession({ expired: true });
+          return false;
+        }
+
+        try {
+          const refreshed = await api.auth.refresh(refreshToken);
+          saveSession(refreshed);
+          setSession(loadSession());
+          return true;
+        } catch (err) {
+          console.error("Error refreshing session:", err);
+          if (err.status === 401 || err.status === 403) {
+            endSession({ expired: true });
+          }
+          return false;
+        }
+      } finally {
+        refreshRef.current = null;
+      }
+    })();
+
+    return refreshRef.current;
+  }, [endSession]);
+
+  // Any authenticated request that gets a 401 tries a refresh first, and
+  // signs out if that doesn't get it through. The refresh may have ended the
+  // session already.
+  useEffect(() => {
+    api.setUnauthorizedHandler(
+      () => refreshSession(),
+      () => {
+        if (loadSession().token) endSession({ expired: true });
+      }
+    );
+    return () => api.setUnauthorizedHandler(null);
+  }, [refreshSession, endSession]);
+
+  // Refresh silently shortly before the access token expires, or end the
+  // session at expiry when there's nothing to refresh with
+  useEffect(() => {
+    const expiry = getTokenExpiry(session.token);
+    if (!expiry) return;
+
+    const margin = session.refreshToken ? REFRESH_MARGIN : 0;
+    const delay = Math.min(
+      Math.max(expiry - margin - Date.now(), 0),
+      MAX_TIMER_DELAY
+    );
+
+    const timer = setTimeout(() => {
+      if (session.refreshToken) {
+        refreshSession();
+      } else {
+        endSession({ expired: true });
+      }
+    }, delay);
+
+    return () => clearTimeout(timer);
+  }, [session.token, session.refreshToken, refreshSession, endSession]);
+
+  // Keep tabs in sync: logging in, refreshing or logging out in one tab
+  // applies to all of them
+  useEffect(() => {
+    const handleStorage = (event) => {
+      // A null key means the whole storage was cleared
+      if (event.key !== null && !SESSION_KEYS.includes(event.key)) return;
+
+      const next = loadSession();
+      const wasSignedIn = Boolean(tokenRef.current);
+      setSession(next);
+
+      if (!next.token && wasSignedIn) {
+        api.cancelAll("Logged out");
+        navigate("/login", { replace: true });
+      } else if (next.token) {
+        setSessionExpired(false);
+      }
+    };
+
+    window.addEventListener("storage", handleStorage);
+    return () => window.removeEventListener("storage", handleStorage);
+  }, [navigate]);
+
+  const value = {
+    user: session.user,
+    isAuthenticated: Boolean(session.token),
+    sessionExpired,
+    login,
+    logout,
+    refreshSession,
+    dismissSessionExpired: () => setSessionExpired(false),
+  };
+
+  return <AuthContext.Provider value={value}>{children}</AuthContext.Provider>;
+};
@@ -5,8 +5,48 @@ import React, {
   useEffect,
   useRef,
   useCallback,
+  useMemo,
 } from "react";
-import axios from "axios";
+import api, { isCancel } from "../api";
+import { useAuth } from "./AuthContext";
+import { withBuildDefaults } from "../utils/buildConfig";
+import {
+  getLiveDeploymentId,
+  getProductionDeployments,
+  isActiveState,
+  isTerminalState,
+  transition,
+} from "../utils/deploymentState";
+import { redactSecrets } from "../utils/envVars";
+import {
+  getChangedFields,
+  hasBuildChanges,
+  validateProjectFields,
+} from "../utils/projectFields";
+
+// How often in-flight deployments are checked while no page is streaming
+// their logs
+const ACTIVE_POLL_INTERVAL = 5000;
+
+// Merge what the API reports about one deployment. Statuses only move
+// forward, so a stale poll can't undo a newer update. Unchanged projects
+// keep their identity to avoid needless re-renders.
+const mergeDeploymentInto = (projects, projectId, deploymentId, updates) =>
+  projects.map((p) => {
+    if (p.id !== projectId) return p;
+
+    let changed = false;
+    const deployments = (p.deployments || []).map((d) => {
+      // Finished deployments are final
+      if (d.id !== deploymentId || isTerminalState(d.status)) return d;
+
+      const status = transition(d.status, updates.status) || d.status;
+      if (status === d.status && !updates.finishedAt) return d;
+      changed = true;
+      return { ...d, ...updates, status };
+    });
+    return changed ? { ...p, deployments } : p;
+  });
 
 const ProjectContext = createContext();
 export const useProjects = () => useContext(ProjectContext);
@@ -14,6 +54,8 @@ export const useProjects = () => useContext(ProjectContext);
 // Memoize the getProjectById function
 
 export const ProjectProvider = ({ children }) => {
+  const { isAuthenticated } = useAuth();
+
   // Your existing state
   const [projects, setProjects] = useState([]);
   const [isLoading, setIsLoading] = useState(false);
@@ -25,14 +67,6 @@ export const ProjectProvider = ({ children }) => {
   // Memoize the getProjectById function
   const getProjectById = useCallback(
     async (projectId) => {
-      // Create a cancellation token
-      const CancelToken = axios.CancelToken;
-      const source = CancelToken.source();
-
-      // Store for potential cancellation
-      if (!window.axiosCancelTokens) window.axiosCancelTokens = [];
-      window.axiosCancelTokens.push(source.cancel);
-
       // Prevent duplicate requests for the same project ID
       if (loadingRef.current[projectId]) {
         return loadingRef.current[projectId];
@@ -52,20 +86,10 @@ export const ProjectProvider = ({ children }) => {
 
           // Otherwise fetch from API
 
-          const response = await axios.get(
-            `${import.meta.env.VITE_PROD_URL}/project/${projectId}`,
-            {
-              withCredentials: true,
-              headers: { "x-auth-token": localStorage.getItem("token") },
-              cancelToken: source.token, // Add cancellation token
-            }
-          );
-
-          if (response.data.status !== "success") {
-            throw new Error(response.data.message || "Failed to fetch project");
-          }
-
-          const projectData = response.data.data.project;
+          // Cancelable so a route change aborts it
+          const projectData = await api.projects.get(projectId, {
+            cancelable: true,
+          });
 
           // Update state
           setProjects((prevProjects) => {
@@ -87,7 +111,7 @@ export const ProjectProvider = ({ children }) => {
         const result = await loadingRef.current[projectId];
         return result;
       } catch (err) {
-        if (axios.isCancel(err)) {
+        if (isCancel(err)) {
           return null; // Return null for canceled requests
         }
         console.error(`Error fetching project ${projectId}:`, err);
@@ -97,58 +121,24 @@ export const ProjectProvider = ({ children }) => {
         setIsLoading(false);
         // Clean up the loading ref
         delete loadingRef.current[projectId];
-        // Remove from cancellation list
-        if (window.axiosCancelTokens) {
-          window.axiosCancelTokens = window.axiosCancelTokens.filter(
-            (c) => c !== source.cancel
-          );
-        }
       }
     },
     [projects]
   ); // Only depends on the projects array
 
-  // Modify fetchProjects to check for token
-
-  const isTokenExpired = (token) => {
-    if (!token) return true;
-
-    const payload = JSON.parse(atob(token.split(".")[1]));
-    const expiry = payload.exp;
-    const now = Math.floor(Date.now() / 1000); // current time in seconds
-
-    return now > expiry;
-  };
-
   const fetchProjects = async () => {
-    // Skip if no token exists
-    const token = localStorage.getItem("token");
-    if (!token) {
-      return [];
-    }
-    if (isTokenExpired(token)) {
-      localStorage.removeItem("token");
-      window.location.href = "/login";
+    // Nothing to fetch while signed out; AuthContext handles expiry
+    if (!isAuthenticated) {
       return [];
     }
 
     try {
       setIsLoading(true);
 
-      const response = await axios.get(
-        `${import.meta.env.VITE_PROD_URL}/projects`,
-        {
-          withCredentials: true,
-          headers: { "x-auth-token": token },
-        }
-      );
-
-      if (response.data.status !== "success") {
-        throw new Error(response.data.message || "Failed to fetch projects");
-      }
+      const projectList = await api.projects.list();
 
-      setProjects(response.data.data.projects);
-      return response.data.data.projects;
+      setProjects(projectList);
+      return projectList;
     } catch (err) {
       setError(err.message);
       throw err;
@@ -164,39 +154,10 @@ export const ProjectProvider = ({ children }) => {
       setIsLoading(true);
 
       // 1. First create the project
-      const response = await axios.post(
-        `${import.meta.env.VITE_PROD_URL}/project`,
-        projectData,
-        {
-          withCredentials: true,
-          headers: { "x-auth-token": localStorage.getItem("token") },
-        }
-      );
-
-      if (response.data.status !== "success") {
-        throw new Error(response.data.message || "Failed to create project");
-      }
-
-      // Extract project data
-      const newProject = response.data.data.project;
+      const newProject = await api.projects.create(projectData);
 
       // 2. Call the /deploy API
-      const deployResponse = await axios.post(
-        `${import.meta.env.VITE_PROD_URL}/deploy`,
-        { projectId: newProject.id },
-        {
-          withCredentials: true,
-          headers: { "x-auth-token": localStorage.getItem("token") },
-        }
-      );
-
-      if (deployResponse.data.status !== "success") {
-        throw new Error(
-          deployResponse.data.message || "Failed to deploy project"
-        );
-      }
-
-      const deploymentId = deployResponse.data.data.deployment_id;
+      const deploymentId = await api.deployments.deploy(newProject.id);
 
       // Update state with running status
       const projectWithStatus = {
@@ -226,25 +187,30 @@ export const ProjectProvider = ({ children }) => {
     }
   };
 
-  // Add or update the updateProjectStatus function
+  // Update the status of a deployment in local state. Without a
+  // deploymentId the latest deployment is updated.
 
-  const updateProjectStatus = async (projectId, status) => {
+  const updateProjectStatus = async (projectId, status, deploymentId) => {
     try {
       // Update the local state
       setProjects((prevProjects) =>
-        prevProjects.map((project) =>
-          project.id === projectId
-            ? {
-                ...project,
-                deployments: project.deployments
-                  ? [
-                      { ...project.deployments[0], status },
-                      ...project.deployments.slice(1),
-                    ]
-                  : [{ status }],
-              }
-            : project
-        )
+        prevProjects.map((project) => {
+          if (project.id !== projectId) return project;
+
+          if (!project.deployments?.length) {
+            return { ...project, deployments: [{ id: deploymentId, status }] };
+          }
+
+          const targetId = deploymentId || project.deployments[0].id;
+          return {
+            ...project,
+            deployments: project.deployments.map((deployment) =>
+              deployment.id === targetId
+                ? { ...deployment, status }
+                : deployment
+            ),
+          };
+        })
       );
 
       // Optionally, you could also update the server
@@ -259,41 +225,155 @@ export const ProjectProvider = ({ children }) => {
   };
 
   // Fix the rebuildProject function to properly update project status
-
+  // Doesn't touch isLoading: callers track the rebuild per project so the
+  // rest of the list stays on screen
   const rebuildProject = async (projectId) => {
     try {
-      setIsLoading(true);
-
       // Find the project in state
       const project = projects.find((p) => p.id === projectId);
 
-      // Get the latest deploymentId
-      const deploymentId = project?.deployments?.[0]?.id;
+      // Rebuild production; previews are rebuilt by pushing to their branch
+      const deploymentId = getProductionDeployments(project)[0]?.id;
 
       if (!deploymentId) {
         throw new Error("No deployment found for this project");
       }
 
       // Make the rebuild API call first
-      const response = await axios.post(
-        `${import.meta.env.VITE_PROD_URL}/redeploy`,
-        { deploymentId },
-        {
-          withCredentials: true,
-          headers: { "x-auth-token": localStorage.getItem("token") },
-        }
+      const newDeploymentId =
+        (await api.deployments.redeploy(deploymentId)) || deploymentId;
+
+      // IMPORTANT: Now update the status AFTER we have the new deploymentId.
+      // A new id is a new deployment; keep the old one in the history.
+      const now = new Date().toISOString();
+      const rebuilt = {
+        id: newDeploymentId,
+        status: "running", // Set status to running
+        trigger: "redeploy",
+        target: "production",
+        // Sorting and durations read these until the server copy arrives
+        createdAt: now,
+        startedAt: now,
+        updatedAt: now, // Update timestamp
+      };
+      setProjects((prev) =>
+        prev.map((p) =>
+          p.id === projectId
+            ? {
+                ...p,
+                deployments:
+                  newDeploymentId === deploymentId
+                    ? p.deployments.map((d) =>
+                        d.id === deploymentId
+                          ? { ...d, ...rebuilt, createdAt: d.createdAt || now }
+                          : d
+                      )
+                    : [rebuilt, ...p.deployments],
+              }
+            : p
+        )
       );
 
-      // Check API response
-      if (response.data.status !== "success") {
-        console.error("API error:", response.data);
-        throw new Error(response.data.message || "Failed to rebuild project");
+      return {
+        success: true,
+        deploymentId: newDeploymentId,
+      };
+    } catch (err) {
+      console.error("Error in rebuildProject:", err);
+      setError(err.message || "Failed to rebuild project");
+      throw err;
+    }
+  };
+
+  // Update a project's settings, optionally rebuilding when build-affecting
+  // fields (gitUrl, buildCommand, environment) changed. Resolves with the
+  // project and the new deployment's id, or null when nothing was redeployed.
+  // If the save works but the redeploy doesn't, the error has `saved` set.
+
+  const updateProject = async (
+    projectId,
+    updates,
+    { redeploy = false } = {}
+  ) => {
+    const current = projects.find((p) => p.id === projectId);
+    // The edit form fills in build defaults for older projects; compare
+    // against the same defaults so those don't count as changes
+    const changes = getChangedFields(withBuildDefaults(current), updates);
+
+    // Nothing to save
+    if (Object.keys(changes).length === 0) {
+      return { project: current, deploymentId: null };
+    }
+
+    const fieldErrors = validateProjectFields(changes, current);
+    if (Object.keys(fieldErrors).length > 0) {
+      const validationError = new Error(Object.values(fieldErrors)[0]);
+      validationError.fieldErrors = fieldErrors;
+      throw validationError;
+    }
+
+    try {
+      setIsLoading(true);
+
+      const saved = await api.projects.update(projectId, changes);
+
+      // Keep deployments from the cache if the API only echoes settings.
+      // Secret values are never kept in memory once saved.
+      let updatedProject = {
+        ...current,
+        ...changes,
+        ...(changes.envVars && { envVars: redactSecrets(changes.envVars) }),
+        ...saved,
+        deployments: saved?.deployments || current?.deployments,
+      };
+
+      setProjects((prev) =>
+        prev.map((p) => (p.id === projectId ? updatedProject : p))
+      );
+
+      if (!redeploy || !hasBuildChanges(changes)) {
+        return { project: updatedProject, deploymentId: null };
+      }
+
+      let deploymentId;
+      try {
+        ({ deploymentId } = await rebuildProject(projectId));
+      } catch (err) {
+        const redeployError = new Error(
+          `Saved, but the redeploy failed: ${err.message || "unknown error"}`
+        );
+        redeployError.saved = true;
+        redeployError.project = updatedProject;
+        throw redeployError;
       }
 
-      // Extract the new deployment ID
-      const newDeploymentId = response.data.data?.deployment_id || deploymentId;
+      const deployments = updatedProject.deployments || [];
+      updatedProject = {
+        ...updatedProject,
+        deployments: [
+          { id: deploymentId, status: "running", target: "production" },
+          ...deployments.filter((d) => d.id !== deploymentId),
+        ],
+      };
+
+      return { project: updatedProject, deploymentId };
+    } catch (err) {
+      // Surface the error in the edit form instead of the page-level error
+      console.error("Error updating project:", err);
+      throw err;
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  // Build a branch as a preview deployment
+  const deployPreview = async (projectId, branch) => {
+    try {
+      const deploymentId = await api.deployments.deployPreview(
+        projectId,
+        branch
+      );
 
-      // IMPORTANT: Now update the status AFTER we have the new deploymentId
       setProjects((prev) =>
         prev.map((p) =>
           p.id === projectId
@@ -301,28 +381,162 @@ export const ProjectProvider = ({ children }) => {
                 ...p,
                 deployments: [
                   {
-                    ...p.deployments[0],
-                    id: newDeploymentId, // Update with new ID
-                    status: "running", // Set status to running
-                    updatedAt: new Date().toISOString(), // Update timestamp
+                    id: deploymentId,
+                    status: "running",
+                    target: "preview",
+                    branch,
+                    trigger: "manual",
+                    startedAt: new Date().toISOString(),
                   },
-                  ...p.deployments.slice(1),
+                  ...(p.deployments || []),
                 ],
               }
             : p
         )
       );
 
-      return {
-        success: true,
-        deploymentId: newDeploymentId,
-      };
+      return deploymentId;
     } catch (err) {
-      console.error("Error in rebuildProject:", err);
-      setError(err.message || "Failed to rebuild project");
+      console.error("Error deploying preview:", err);
+      throw err;
+    }
+  };
+
+  // Custom domains. Each action returns the project's updated domain list.
+
+  const setProjectDomains = (projectId, update) =>
+    setProjects((prev) =>
+      prev.map((p) =>
+        p.id === projectId ? { ...p, domains: update(p.domains || []) } : p
+      )
+    );
+
+  const addDomain = async (projectId, name) => {
+    try {
+      const domain = await api.domains.add(projectId, name);
+      const current = projects.find((p) => p.id === projectId);
+      const domains = [...(current?.domains || []), domain];
+      setProjectDomains(projectId, (list) => [...list, domain]);
+      return domains;
+    } catch (err) {
+      console.error("Error adding domain:", err);
+      throw err;
+    }
+  };
+
+  const removeDomain = async (projectId, domainId) => {
+    try {
+      await api.domains.remove(projectId, domainId);
+      const current = projects.find((p) => p.id === projectId);
+      const domains = (current?.domains || []).filter((d) => d.id !== domainId);
+      setProjectDomains(projectId, (list) =>
+        list.filter((d) => d.id !== domainId)
+      );
+      return domains;
+    } catch (err) {
+      console.error("Error removing domain:", err);
+      throw err;
+    }
+  };
+
+  const setPrimaryDomain = async (projectId, domainId) => {
+    try {
+      const domains = await api.domains.setPrimary(projectId, domainId);
+      setProjectDomains(projectId, () => domains);
+      return domains;
+    } catch (err) {
+      console.error("Error setting primary domain:", err);
+      throw err;
+    }
+  };
+
+  // Re-check DNS for one domain, or reload them all to pick up the
+  // background verification and certificate progress
+  const refreshDomains = async (projectId, domainId) => {
+    try {
+      if (domainId) {
+        await api.domains.verify(projectId, domainId);
+      }
+      const domains = await api.domains.list(projectId);
+      setProjectDomains(projectId, () => domains);
+      return domains;
+    } catch (err) {
+      console.error("Error refreshing domains:", err);
+      throw err;
+    }
+  };
+
+  // Abort an in-progress deployment and mark it cancelled
+  const cancelDeployment = async (projectId, deploymentId) => {
+    try {
+      const cancelled = await api.deployments.cancel(deploymentId);
+
+      setProjects((prev) =>
+        prev.map((p) =>
+          p.id === projectId
+            ? {
+                ...p,
+                deployments: (p.deployments || []).map((d) =>
+                  d.id === deploymentId
+                    ? {
+                        ...d,
+                        ...cancelled,
+                        status: "cancelled",
+                        finishedAt:
+                          cancelled?.finishedAt || new Date().toISOString(),
+                      }
+                    : d
+                ),
+              }
+            : p
+        )
+      );
+
+      return true;
+    } catch (err) {
+      console.error("Error cancelling deployment:", err);
+      throw err;
+    }
+  };
+
+  // Serve an earlier (or later) successful deployment on the project's
+  // domain. The live deployment is switched optimistically and restored if
+  // the API call fails.
+
+  const promoteDeployment = async (projectId, deploymentId) => {
+    const current = projects.find((p) => p.id === projectId);
+    const previousLiveId = getLiveDeploymentId(current);
+
+    const setLiveDeployment = (liveDeploymentId) =>
+      setProjects((prev) =>
+        prev.map((p) => (p.id === projectId ? { ...p, liveDeploymentId } : p))
+      );
+
+    setLiveDeployment(deploymentId);
+
+    try {
+      const saved = await api.deployments.promote(projectId, deploymentId);
+
+      if (saved) {
+        setProjects((prev) =>
+          prev.map((p) =>
+            p.id === projectId
+              ? {
+                  ...p,
+                  ...saved,
+                  deployments: saved.deployments || p.deployments,
+                  liveDeploymentId: saved.liveDeploymentId || deploymentId,
+                }
+              : p
+          )
+        );
+      }
+
+      return { ...current, ...saved, liveDeploymentId: deploymentId };
+    } catch (err) {
+      console.error("Error promoting deployment:", err);
+      setLiveDeployment(previousLiveId);
       throw err;
-    } finally {
-      setIsLoading(false);
     }
   };
 
@@ -333,17 +547,7 @@ export const ProjectProvider = ({ children }) => {
       setIsLoading(true);
 
       // First delete from backend
-      const response = await axios.delete(
-        `${import.meta.env.VITE_PROD_URL}/project/${projectId}`,
-        {
-          withCredentials: true,
-          headers: { "x-auth-token": localStorage.getItem("token") },
-        }
-      );
-
-      if (response.data.status !== "success") {
-        throw new Error(response.data.message || "Failed to delete project");
-      }
+      await api.projects.remove(projectId);
 
       // Remove from local state
       setProjects((prev) => prev.filter((p) => p.id !== projectId));
@@ -363,19 +567,168 @@ export const ProjectProvider = ({ children }) => {
     }
   };
 
-  // Initial load - ONLY if token exists
+  // Active deployments: every in-flight deployment across all projects is
+  // polled until it finishes, and the project is reloaded afterwards so the
+  // list picks up the new live deployment. `activeDeployment` is the one
+  // shown in the DeploymentModal, which any page can open.
+
+  const [activeDeployment, setActiveDeploymentState] = useState(null);
+
+  const inFlightDeployments = useMemo(
+    () =>
+      projects.flatMap((project) =>
+        (project.deployments || [])
+          .filter((d) => d.id && isActiveState(d.status))
+          .map((d) => ({
+            projectId: project.id,
+            projectName: project.name,
+            deploymentId: d.id,
+            status: d.status,
+            target: d.target || "production",
+          }))
+      ),
+    [projects]
+  );
+  const inFlightKey = inFlightDeployments
+    .map((d) => `${d.projectId}/${d.deploymentId}`)
+    .join(",");
+
+  const projectsRef = useRef(projects);
+  projectsRef.current = projects;
+  const inFlightRef = useRef(inFlightDeployments);
+  const previousInFlightRef = useRef([]);
+
+  const mergeDeployment = (projectId, deploymentId, updates) =>
+    setProjects((prev) =>
+      mergeDeploymentInto(prev, projectId, deploymentId, updates)
+    );
+
+  /**
+   * Open the DeploymentModal for a deployment, or close it with null.
+   * Without a deploymentId the project's newest in-flight deployment is
+   * shown.
+   */
+  const setActiveDeployment = useCallback((deployment) => {
+    if (!deployment) {
+      setActiveDeploymentState(null);
+      return;
+    }
+
+    const project = projectsRef.current.find(
+      (p) => p.id === deployment.projectId
+    );
+    const deploymentId =
+      deployment.deploymentId ||
+      inFlightRef.current.find((d) => d.projectId === deployment.projectId)
+        ?.deploymentId ||
+      project?.deployments?.[0]?.id;
+
+    setActiveDeploymentState({
+      projectId: deployment.projectId,
+      projectName: deployment.projectName || project?.name || "",
+      deploymentId: deploymentId || null,
+    });
+  }, []);
+
+  // Called by whoever sees a deployment finish first (the modal, a log
+  // viewer or the poller). Safe to call more than once.
+  const handleDeploymentComplete = useCallback(
+    (status, projectId, deploymentId) => {
+      if (!projectId || !isTerminalState(status)) return;
+
+      const project = projectsRef.current.find((p) => p.id === projectId);
+      const targetId = deploymentId || project?.deployments?.[0]?.id;
+      if (!targetId) return;
+
+      mergeDeployment(projectId, targetId, {
+        status,
+        finishedAt: new Date().toISOString(),
+      });
+    },
+    []
+  );
+
+  useEffect(() => {
+    inFlightRef.current = inFlightDeployments;
+  }, [inFlightDeployments]);
+
+  // Poll while anything is in flight
   useEffect(() => {
-    // Check if user is logged in before fetching projects
-    const token = localStorage.getItem("token");
+    if (!inFlightKey) return;
+
+    const interval = setInterval(() => {
+      inFlightRef.current.forEach(async ({ projectId, deploymentId }) => {
+        try {
+          const deployment = await api.deployments.get(deploymentId);
+          if (!deployment?.status) return;
+
+          if (isTerminalState(deployment.status)) {
+            mergeDeployment(projectId, deploymentId, {
+              ...deployment,
+              finishedAt: deployment.finishedAt || new Date().toISOString(),
+            });
+          } else {
+            mergeDeployment(projectId, deploymentId, {
+              status: deployment.status,
+            });
+          }
+        } catch (err) {
+          console.error("Error polling deployment:", err);
+        }
+      });
+    }, ACTIVE_POLL_INTERVAL);
 
-    if (token) {
+    return () => clearInterval(interval);
+  }, [inFlightKey]);
+
+  // Reload projects whose deployments just finished
+  useEffect(() => {
+    const current = inFlightRef.current;
+    const finishedProjectIds = new Set(
+      previousInFlightRef.current
+        .filter(
+          (prev) => !current.some((d) => d.deploymentId === prev.deploymentId)
+        )
+        .map((d) => d.projectId)
+    );
+    previousInFlightRef.current = current;
+
+    finishedProjectIds.forEach(async (projectId) => {
+      // Deleted or signed out in the meantime
+      if (!projectsRef.current.some((p) => p.id === projectId)) return;
+
+      try {
+        const fresh = await api.projects.get(projectId);
+        setProjects((prev) =>
+          prev.map((p) =>
+            p.id === projectId
+              ? {
+                  ...p,
+                  ...fresh,
+                  deployments: fresh?.deployments || p.deployments,
+                }
+              : p
+          )
+        );
+      } catch (err) {
+        console.error("Error refreshing finished project:", err);
+      }
+    });
+  }, [inFlightKey]);
+
+  // Load projects on sign in and drop them on sign out, so nothing from the
+  // previous user lingers
+  useEffect(() => {
+    if (isAuthenticated) {
       fetchProjects().catch((err) =>
         console.error("Error in initial project fetch:", err)
       );
     } else {
-      console.log("No token found, skipping initial project fetch");
+      setProjects([]);
+      setError(null);
+      setActiveDeploymentState(null);
     }
-  }, []); // Empty dependency array means this runs once on mount
+  }, [isAuthenticated]);
 
   const value = {
     projects,
@@ -384,9 +737,22 @@ export const ProjectProvider = ({ children }) => {
     fetchProjects,
     getProjectById, // Memoized function
     createProject,
+    updateProject,
     rebuildProject,
+    promoteDeployment,
+    cancelDeployment,
+    deployPreview,
+    addDomain,
+    removeDomain,
+    setPrimaryDomain,
+    refreshDomains,
     deleteProject,
     updateProjectStatus,
+    inFlightDeployments,
+    activeDeployment,
+    setActiveDeployment,
+    shouldShowDeploymentModal: Boolean(activeDeployment),
+    handleDeploymentComplete,
   };
 
   return (
@@ -0,0 +1,22 @@
+import { useState, useEffect, useCallback } from "react";
+
+/**
+ * Countdown in whole seconds, used to hold off repeat requests such as
+ * resending an email.
+ *
+ * @returns {[number, (seconds: number) => void]} Seconds left and a
+ *   function that starts a new countdown
+ */
+export default function useCooldown() {
+  const [remaining, setRemaining] = useState(0);
+
+  useEffect(() => {
+    if (remaining <= 0) return;
+    const timer = setTimeout(() => setRemaining((s) => s - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [remaining]);
+
+  const start = useCallback((seconds) => setRemaining(seconds), []);
+
+  return [remaining, start];
+}
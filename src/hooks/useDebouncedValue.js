@@ -0,0 +1,16 @@
+import { useState, useEffect } from "react";
+
+/**
+ * Return `value` once it has stopped changing for `delay` ms. Used to hold
+ * off requests while the user is still typing.
+ */
+export default function useDebouncedValue(value, delay = 300) {
+  const [debounced, setDebounced] = useState(value);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebounced(value), delay);
+    return () => clearTimeout(timer);
+  }, [value, delay]);
+
+  return debounced;
+}
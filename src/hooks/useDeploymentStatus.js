@@ -0,0 +1,106 @@
+import { useReducer, useEffect, useRef, useState } from "react";
+import api from "../api";
+import {
+  deploymentReducer,
+  isTerminalState,
+  normalizeStatus,
+} from "../utils/deploymentState";
+
+const STATUS_POLL_INTERVAL = 5000;
+
+/**
+ * Track one deployment through its lifecycle. Combines the project's
+ * `/status` endpoint (polled until the deployment reaches a terminal state)
+ * with structured events found in `logs`.
+ *
+ * @param {object} params
+ * @param {string} params.projectId
+ * @param {string} [params.deploymentId] Omit to follow the latest deployment
+ * @param {import("../api/logs").LogEntry[]} [params.logs]
+ * @param {string} [params.initialStatus] Status already known from the
+ *   project. Later changes (e.g. a cancel) are applied as they arrive.
+ * @returns {{ state: string, isTerminal: boolean, latestDeploymentId: string | null, error: string | null }}
+ */
+export default function useDeploymentStatus({
+  projectId,
+  deploymentId,
+  logs = [],
+  initialStatus,
+}) {
+  const [state, dispatch] = useReducer(
+    deploymentReducer,
+    normalizeStatus(initialStatus) || "queued"
+  );
+  const [latestDeploymentId, setLatestDeploymentId] = useState(null);
+  const [error, setError] = useState(null);
+  const processedRef = useRef(0);
+
+  const isTerminal = isTerminalState(state);
+
+  // Start over when following a different deployment
+  const initialStatusRef = useRef(initialStatus);
+  initialStatusRef.current = initialStatus;
+  useEffect(() => {
+    processedRef.current = 0;
+    dispatch({ type: "reset", status: initialStatusRef.current });
+  }, [deploymentId]);
+
+  // Apply status changes made elsewhere in the app
+  useEffect(() => {
+    if (initialStatus) dispatch({ type: "status", status: initialStatus });
+  }, [initialStatus]);
+
+  // Feed only the log lines we haven't seen yet
+  useEffect(() => {
+    if (logs.length < processedRef.current) processedRef.current = 0;
+
+    logs.slice(processedRef.current).forEach((log) => {
+      dispatch({ type: "log", log });
+    });
+    processedRef.current = logs.length;
+  }, [logs]);
+
+  useEffect(() => {
+    if (!projectId || isTerminal) return;
+
+    let cancelled = false;
+
+    const fetchStatus = async () => {
+      try {
+        const { currentStatus, latestDeployment } = await api.projects.status(
+          projectId
+        );
+        if (cancelled) return;
+
+        setError(null);
+        if (latestDeployment?.id) setLatestDeploymentId(latestDeployment.id);
+
+        // The endpoint reports the latest deployment; ignore it when we're
+        // looking at an older one
+        if (
+          deploymentId &&
+          latestDeployment?.id &&
+          latestDeployment.id !== deploymentId
+        ) {
+          return;
+        }
+
+        dispatch({ type: "status", status: currentStatus });
+      } catch (err) {
+        if (cancelled) return;
+        console.error("Error fetching deployment status:", err);
+        setError(err.message || "Failed to get deployment status");
+      }
+    };
+
+    fetchStatus();
+    const interval = setInterval(fetchStatus, STATUS_POLL_INTERVAL);
+
+    return () => {
+      cancelled = true;
+      clearInterval(interval);
+    };
+  }, [projectId, deploymentId, isTerminal]);
+
+  return { state, isTerminal, latestDeploymentId, error };
+}
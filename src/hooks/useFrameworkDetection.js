@@ -0,0 +1,97 @@
+import { useState, useEffect } from "react";
+import api from "../api";
+import useDebouncedValue from "./useDebouncedValue";
+import { parseGithubRepo } from "../utils/github";
+import { DETECTION_FILES, detectFramework } from "../utils/frameworkDetection";
+
+/**
+ * Inspect a GitHub repository and suggest build settings for it. Runs once
+ * the URL, branch and root directory have settled.
+ *
+ * @param {object} params
+ * @param {string} params.gitUrl
+ * @param {string} [params.branch] Defaults to the repository's default branch
+ * @param {string} [params.rootDirectory]
+ * @param {boolean} [params.enabled]
+ * @returns {{ detection: ReturnType<typeof detectFramework>, isDetecting: boolean, error: string | null }}
+ */
+export default function useFrameworkDetection({
+  gitUrl,
+  branch,
+  rootDirectory,
+  enabled = true,
+}) {
+  const [detection, setDetection] = useState(null);
+  const [isDetecting, setIsDetecting] = useState(false);
+  const [error, setError] = useState(null);
+
+  const fullName = useDebouncedValue(
+    enabled ? parseGithubRepo(gitUrl) : null,
+    500
+  );
+  const ref = useDebouncedValue((branch || "").trim(), 500);
+  const root = useDebouncedValue(
+    (rootDirectory || "").trim().replace(/^\.\/?|\/$/g, ""),
+    500
+  );
+
+  useEffect(() => {
+    setDetection(null);
+    setError(null);
+    // A run cancelled by this change won't clear the flag itself
+    if (!fullName) {
+      setIsDetecting(false);
+      return;
+    }
+
+    let cancelled = false;
+    const joinPath = (name) => (root ? `${root}/${name}` : name);
+
+    const detect = async () => {
+      try {
+        setIsDetecting(true);
+
+        const entries = await api.github.listFiles(fullName, {
+          ref,
+          path: root,
+        });
+        const fileNames = entries
+          .filter((entry) => entry.type === "file")
+          .map((entry) => entry.name);
+
+        // Only fetch the files that are actually there
+        const present = DETECTION_FILES.filter((name) =>
+          fileNames.includes(name)
+        );
+        const contents = await Promise.all(
+          present.map((name) =>
+            api.github.readFile(fullName, joinPath(name), { ref })
+          )
+        );
+        const files = Object.fromEntries(
+          present.map((name, i) => [name, contents[i]])
+        );
+
+        if (!cancelled) setDetection(detectFramework({ fileNames, files }));
+      } catch (err) {
+        if (cancelled) return;
+        console.error("Error detecting framework:", err);
+        setError(
+          err.status === 404
+            ? "Couldn't find that repository, branch or directory"
+            : err.message || "Failed to inspect the repository"
+        );
+      } finally {
+        if (!cancelled) setIsDetecting(false);
+      }
+    };
+
+    detect();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [fullName, ref, root]);
+
+  return { detection, isDetecting, error };
+}
@@ -0,0 +1,282 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import api from "../api";
+import { getLogCursor } from "../api/logs";
+import { getLogText } from "../utils/logFormat";
+
+const POLL_INTERVAL = 3000;
+const MAX_BACKOFF = 30000;
+const MAX_STREAM_RETRIES = 5;
+// Lines arriving within this window are rendered together; a busy build
+// can send hundreds of one-line events per second
+const FLUSH_INTERVAL = 100;
+
+// 1s, 2s, 4s ... capped at 30s
+const backoffDelay = (attempt) =>
+  Math.min(1000 * 2 ** Math.max(attempt - 1, 0), MAX_BACKOFF);
+
+const parseStreamEvent = (event) => {
+  try {
+    const payload = JSON.parse(event.data);
+    return Array.isArray(payload) ? payload : [payload];
+  } catch {
+    return [{ message: event.data, timestamp: new Date().toISOString() }];
+  }
+};
+
+const isSameLine = (a, b) =>
+  Boolean(a && b) &&
+  a.timestamp === b.timestamp &&
+  getLogText(a) === getLogText(b);
+
+/**
+ * The lines of a fetched page we haven't appended yet. Uses the server's
+ * `incremental` flag when it sends one. Otherwise the page is matched
+ * against what we already have: by the id of the last line we received, or
+ * without ids, a page starting with our first line is the full log again.
+ */
+const selectNewLines = (entries, { incremental, seen, lastId, firstLog }) => {
+  if (incremental === true) return entries;
+  if (incremental === false) return entries.slice(seen);
+
+  if (lastId !== undefined) {
+    const index = entries.findIndex((entry) => entry.id === lastId);
+    return index >= 0 ? entries.slice(index + 1) : entries;
+  }
+
+  return isSameLine(entries[0], firstLog) ? entries.slice(seen) : entries;
+};
+
+/**
+ * Follow a deployment's logs. Tries a Server-Sent Events stream first and
+ * resumes from the last received line after a disconnect. If the stream
+ * can't be opened (or keeps dropping) it falls back to polling `/logs` with
+ * a `since` cursor. Either way only new lines are appended.
+ *
+ * @param {string} deploymentId
+ * @param {object} [options]
+ * @param {boolean} [options.enabled] Set to false to stop following
+ * @returns {{
+ *   logs: import("../api/logs").LogEntry[],
+ *   isLoading: boolean,
+ *   error: string | null,
+ *   transport: "stream" | "polling" | null,
+ *   isStreaming: boolean,
+ *   stop: () => void,
+ *   finish: () => Promise<void>,
+ * }}
+ */
+export default function useLogStream(deploymentId, { enabled = true } = {}) {
+  const [logs, setLogs] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [transport, setTransport] = useState(null);
+  const [stopped, setStopped] = useState(false);
+
+  const cursorRef = useRef(undefined);
+  const countRef = useRef(0);
+  const lastIdRef = useRef(undefined);
+  const firstLogRef = useRef(null);
+  const sourceRef = useRef(null);
+  const timerRef = useRef(null);
+  const pendingRef = useRef([]);
+  const flushTimerRef = useRef(null);
+
+  const flush = useCallback(() => {
+    clearTimeout(flushTimerRef.current);
+    flushTimerRef.current = null;
+
+    const pending = pendingRef.current;
+    if (pending.length === 0) return;
+    pendingRef.current = [];
+    setLogs((prev) => prev.concat(pending));
+  }, []);
+
+  const appendLogs = useCallback(
+    (entries, { incremental = true } = {}) => {
+      const fresh = selectNewLines(entries, {
+        incremental,
+        seen: countRef.current,
+        lastId: lastIdRef.current,
+        firstLog: firstLogRef.current,
+      });
+      if (fresh.length === 0) return;
+
+      const last = fresh[fresh.length - 1];
+      countRef.current += fresh.length;
+      if (!firstLogRef.current) firstLogRef.current = fresh[0];
+      lastIdRef.current = last.id;
+      cursorRef.current = getLogCursor(last) ?? cursorRef.current;
+      fresh.forEach((entry) => pendingRef.current.push(entry));
+
+      if (!flushTimerRef.current) {
+        flushTimerRef.current = setTimeout(flush, FLUSH_INTERVAL);
+      }
+    },
+    [flush]
+  );
+
+  // Nothing to render into once unmounted
+  useEffect(() => () => clearTimeout(flushTimerRef.current), []);
+
+  const teardown = useCallback(() => {
+    if (sourceRef.current) {
+      sourceRef.current.close();
+      sourceRef.current = null;
+    }
+    if (timerRef.current) {
+      clearTimeout(timerRef.current);
+      timerRef.current = null;
+    }
+  }, []);
+
+  const stop = useCallback(() => {
+    teardown();
+    setStopped(true);
+  }, [teardown]);
+
+  // Stop following, but first pick up any lines written after our cursor
+  const finish = useCallback(async () => {
+    teardown();
+    setStopped(true);
+
+    try {
+      const page = await api.logs.list(deploymentId, {
+        since: cursorRef.current,
+      });
+      appendLogs(page.logs, { incremental: page.incremental });
+    } catch (err) {
+      console.error("Error fetching final logs:", err);
+    } finally {
+      flush();
+      setIsLoading(false);
+    }
+  }, [deploymentId, appendLogs, flush, teardown]);
+
+  // Start over when following a different deployment
+  useEffect(() => {
+    cursorRef.current = undefined;
+    countRef.current = 0;
+    lastIdRef.current = undefined;
+    firstLogRef.current = null;
+    clearTimeout(flushTimerRef.current);
+    flushTimerRef.current = null;
+    pendingRef.current = [];
+    setLogs([]);
+    setError(null);
+    setIsLoading(true);
+    setTransport(null);
+    setStopped(false);
+  }, [deploymentId]);
+
+  useEffect(() => {
+    if (!deploymentId || !enabled || stopped) {
+      if (!deploymentId) setIsLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+    let streamRetries = 0;
+    let pollFailures = 0;
+
+    const schedule = (fn, delay) => {
+      timerRef.current = setTimeout(fn, delay);
+    };
+
+    const poll = async () => {
+      if (cancelled) return;
+
+      try {
+        const since = cursorRef.current;
+        const page = await api.logs.list(deploymentId, { since });
+        if (cancelled) return;
+
+        appendLogs(page.logs, { incremental: page.incremental });
+        if (page.cursor) cursorRef.current = page.cursor;
+
+        pollFailures = 0;
+        setError(null);
+        schedule(poll, POLL_INTERVAL);
+      } catch (err) {
+        if (cancelled) return;
+        console.error("Error fetching logs:", err);
+        pollFailures += 1;
+        setError(`Failed to fetch logs: ${err.message}`);
+        schedule(poll, backoffDelay(pollFailures));
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    const startPolling = () => {
+      teardown();
+      setTransport("polling");
+      poll();
+    };
+
+    const openStream = () => {
+      if (cancelled) return;
+
+      let opened = false;
+      const source = new EventSource(
+        api.logs.streamUrl(deploymentId, cursorRef.current),
+        { withCredentials: true }
+      );
+      sourceRef.current = source;
+
+      source.onopen = () => {
+        opened = true;
+        streamRetries = 0;
+        setTransport("stream");
+        setError(null);
+        setIsLoading(false);
+      };
+
+      source.onmessage = (event) => {
+        appendLogs(parseStreamEvent(event));
+        if (event.lastEventId) cursorRef.current = event.lastEventId;
+      };
+
+      // The server closes the stream once the deployment has finished
+      source.addEventListener("end", () => {
+        teardown();
+        setStopped(true);
+      });
+
+      source.onerror = () => {
+        source.close();
+        sourceRef.current = null;
+        if (cancelled) return;
+
+        // No streaming endpoint, or it keeps dropping: poll instead
+        if (!opened || streamRetries >= MAX_STREAM_RETRIES) {
+          startPolling();
+          return;
+        }
+
+        streamRetries += 1;
+        schedule(openStream, backoffDelay(streamRetries));
+      };
+    };
+
+    if (typeof window.EventSource === "function") {
+      openStream();
+    } else {
+      startPolling();
+    }
+
+    return () => {
+      cancelled = true;
+      teardown();
+    };
+  }, [deploymentId, enabled, stopped, appendLogs, teardown]);
+
+  return {
+    logs,
+    isLoading,
+    error,
+    transport,
+    isStreaming: Boolean(deploymentId) && enabled && !stopped,
+    stop,
+    finish,
+  };
+}
@@ -0,0 +1,86 @@
+import { useState, useEffect } from "react";
+import api from "../api";
+import useDebouncedValue from "./useDebouncedValue";
+import { validateSubdomain } from "../utils/domains";
+
+/**
+ * Live availability of a subdomain while the user types. Invalid values are
+ * reported without asking the API.
+ *
+ * @param {string} subDomain
+ * @param {object} [params]
+ * @param {string} [params.projectId] Project being renamed
+ * @param {string} [params.currentSubDomain] Its current subdomain, which is
+ *   always available to it
+ * @returns {{
+ *   status: "idle" | "checking" | "available" | "taken" | "invalid" | "error",
+ *   message: string,
+ *   suggestion: string | null,
+ * }}
+ */
+export default function useSubdomainAvailability(
+  subDomain,
+  { projectId, currentSubDomain } = {}
+) {
+  const value = (subDomain || "").trim();
+  const debounced = useDebouncedValue(value, 400);
+  const [result, setResult] = useState({
+    value: "",
+    status: "idle",
+    message: "",
+    suggestion: null,
+  });
+
+  const validationError = value ? validateSubdomain(value) : null;
+  const needsCheck = Boolean(
+    value && !validationError && value !== currentSubDomain
+  );
+
+  useEffect(() => {
+    if (!needsCheck || debounced !== value) return;
+
+    let cancelled = false;
+
+    api.projects
+      .checkSubdomain(debounced, { projectId })
+      .then(({ available, reason, suggestion }) => {
+        if (cancelled) return;
+        setResult({
+          value: debounced,
+          status: available ? "available" : "taken",
+          message: available
+            ? "Available"
+            : reason || `${debounced} is already taken`,
+          suggestion: suggestion || null,
+        });
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        console.error("Error checking subdomain:", err);
+        setResult({
+          value: debounced,
+          status: "error",
+          message: "Couldn't check availability",
+          suggestion: null,
+        });
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [debounced, value, needsCheck, projectId]);
+
+  if (!value || value === currentSubDomain) {
+    return { status: "idle", message: "", suggestion: null };
+  }
+  if (validationError) {
+    return { status: "invalid", message: validationError, suggestion: null };
+  }
+  // A result for an older value means a check is still on its way
+  if (result.value !== value) {
+    return { status: "checking", message: "Checking...", suggestion: null };
+  }
+
+  const { status, message, suggestion } = result;
+  return { status, message, suggestion };
+}
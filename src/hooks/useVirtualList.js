@@ -0,0 +1,74 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+
+/**
+ * Window a long list of fixed-height rows so only the rows in view (plus
+ * `overscan` on each side) are rendered. Attach `containerRef` and
+ * `onScroll` to the scrolling element and render rows `start` to `end`
+ * offset by `start * rowHeight` inside a `totalHeight` tall box.
+ *
+ * @param {object} params
+ * @param {number} params.count
+ * @param {number} params.rowHeight In pixels
+ * @param {number} [params.overscan]
+ */
+export default function useVirtualList({ count, rowHeight, overscan = 20 }) {
+  const containerRef = useRef(null);
+  const [scrollTop, setScrollTop] = useState(0);
+  const [viewportHeight, setViewportHeight] = useState(0);
+
+  useEffect(() => {
+    const container = containerRef.current;
+    if (!container) return;
+
+    setViewportHeight(container.clientHeight);
+    if (typeof ResizeObserver !== "function") return;
+
+    const observer = new ResizeObserver(() =>
+      setViewportHeight(container.clientHeight)
+    );
+    observer.observe(container);
+    return () => observer.disconnect();
+  }, []);
+
+  const onScroll = useCallback((e) => {
+    setScrollTop(e.currentTarget.scrollTop);
+  }, []);
+
+  /** Scroll so row `index` is at the top, center or bottom of the view. */
+  const scrollToIndex = useCallback(
+    (index, align = "start") => {
+      const container = containerRef.current;
+      if (!container) return;
+
+      const offset =
+        align === "center"
+          ? (container.clientHeight - rowHeight) / 2
+          : align === "end"
+          ? container.clientHeight - rowHeight
+          : 0;
+      container.scrollTop = Math.max(0, index * rowHeight - offset);
+    },
+    [rowHeight]
+  );
+
+  const scrollToEnd = useCallback(() => {
+    const container = containerRef.current;
+    if (container) container.scrollTop = container.scrollHeight;
+  }, []);
+
+  const start = Math.max(0, Math.floor(scrollTop / rowHeight) - overscan);
+  const end = Math.min(
+    count,
+    Math.ceil((scrollTop + viewportHeight) / rowHeight) + overscan
+  );
+
+  return {
+    containerRef,
+    onScroll,
+    start,
+    end,
+    totalHeight: count * rowHeight,
+    scrollToIndex,
+    scrollToEnd,
+  };
+}
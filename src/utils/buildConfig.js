@@ -0,0 +1,128 @@
+// Build settings that depend on the framework and package manager. The root
+// directory is relative to the repository; the output directory is relative
+// to the root directory.
+
+export const FRAMEWORKS = [
+  { value: "vite", label: "Vite", outputDirectory: "dist" },
+  {
+    value: "create-react-app",
+    label: "Create React App",
+    outputDirectory: "build",
+  },
+  { value: "nextjs", label: "Next.js (static export)", outputDirectory: "out" },
+  { value: "vue", label: "Vue CLI", outputDirectory: "dist" },
+  { value: "angular", label: "Angular", outputDirectory: "dist" },
+  { value: "svelte", label: "SvelteKit (static)", outputDirectory: "build" },
+  { value: "astro", label: "Astro", outputDirectory: "dist" },
+  { value: "gatsby", label: "Gatsby", outputDirectory: "public" },
+  // Served as-is: nothing to install or build
+  { value: "static", label: "Plain HTML", outputDirectory: ".", noBuild: true },
+  { value: "other", label: "Other", outputDirectory: "dist" },
+];
+
+export const PACKAGE_MANAGERS = [
+  { value: "npm", label: "npm", install: "npm install", run: "npm run" },
+  { value: "yarn", label: "Yarn", install: "yarn install", run: "yarn" },
+  { value: "pnpm", label: "pnpm", install: "pnpm install", run: "pnpm run" },
+  { value: "bun", label: "Bun", install: "bun install", run: "bun run" },
+];
+
+export const DEFAULT_FRAMEWORK = "vite";
+export const DEFAULT_PACKAGE_MANAGER = "npm";
+
+const findFramework = (value) =>
+  FRAMEWORKS.find((f) => f.value === value) ||
+  FRAMEWORKS.find((f) => f.value === "other");
+
+const findPackageManager = (value) =>
+  PACKAGE_MANAGERS.find((pm) => pm.value === value) || PACKAGE_MANAGERS[0];
+
+export const getFrameworkLabel = (value) =>
+  FRAMEWORKS.find((f) => f.value === value)?.label || value;
+
+/** Frameworks like plain HTML skip the install and build steps. */
+export const isNoBuildFramework = (value) =>
+  Boolean(FRAMEWORKS.find((f) => f.value === value)?.noBuild);
+
+/**
+ * Commands and output directory a framework uses with a package manager.
+ *
+ * @returns {{ installCommand: string, buildCommand: string, outputDirectory: string }}
+ */
+export const getBuildDefaults = (framework, packageManager) => {
+  const pm = findPackageManager(packageManager);
+
+  if (isNoBuildFramework(framework)) {
+    return {
+      installCommand: "",
+      buildCommand: "",
+      outputDirectory: findFramework(framework).outputDirectory,
+    };
+  }
+
+  return {
+    installCommand: pm.install,
+    buildCommand: `${pm.run} build`,
+    outputDirectory: findFramework(framework).outputDirectory,
+  };
+};
+
+/**
+ * Switch framework and/or package manager, updating the commands and
+ * output directory that still hold the old defaults. Values the user typed
+ * themselves are kept.
+ */
+export const applyBuildDefaults = (fields, changes) => {
+  const previous = getBuildDefaults(fields.framework, fields.packageManager);
+  const next = { ...fields, ...changes };
+  const defaults = getBuildDefaults(next.framework, next.packageManager);
+
+  Object.keys(defaults).forEach((key) => {
+    const value = (fields[key] || "").trim();
+    if (!value || value === previous[key]) {
+      next[key] = defaults[key];
+    }
+  });
+
+  return next;
+};
+
+/**
+ * Validate a directory relative to the repository root. An empty value is
+ * allowed and means the root itself. Returns an error message or null.
+ */
+export const validateRelativePath = (path) => {
+  const value = (path || "").trim();
+  if (!value || value === ".") return null;
+
+  if (value.startsWith("/") || /^[a-z]:/i.test(value)) {
+    return "Use a path relative to the repository root";
+  }
+  if (value.split("/").some((segment) => segment === "..")) {
+    return "Path can't leave the repository";
+  }
+  if (!/^[\w.\-/@]+$/.test(value)) {
+    return "Use letters, digits, dots, dashes, underscores and slashes";
+  }
+  return null;
+};
+
+/**
+ * Fill in build settings a project doesn't have yet, e.g. projects created
+ * before these settings existed.
+ */
+export const withBuildDefaults = (project = {}) => {
+  const framework = project.framework || DEFAULT_FRAMEWORK;
+  const packageManager = project.packageManager || DEFAULT_PACKAGE_MANAGER;
+  const defaults = getBuildDefaults(framework, packageManager);
+
+  return {
+    ...project,
+    framework,
+    packageManager,
+    rootDirectory: project.rootDirectory || "",
+    installCommand: project.installCommand ?? defaults.installCommand,
+    buildCommand: project.buildCommand ?? defaults.buildCommand,
+    outputDirectory: project.outputDirectory || defaults.outputDirectory,
+  };
+};
@@ -0,0 +1,137 @@
+import {
+  DEPLOYMENT_PHASES,
+  DEPLOYMENT_STATES,
+  getLogEventState,
+  normalizeStatus,
+  isTerminalState,
+} from "./deploymentState";
+import { parseLogEntry } from "./logFormat";
+
+const STEP_LABELS = {
+  [DEPLOYMENT_STATES.CLONING]: "Clone",
+  [DEPLOYMENT_STATES.INSTALLING]: "Install",
+  [DEPLOYMENT_STATES.BUILDING]: "Build",
+  [DEPLOYMENT_STATES.UPLOADING]: "Upload",
+};
+
+export const BUILD_STEPS = DEPLOYMENT_PHASES.map((value) => ({
+  value,
+  label: STEP_LABELS[value],
+}));
+
+const toTime = (value) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  return Number.isFinite(time) ? time : null;
+};
+
+/**
+ * @typedef {object} BuildStep
+ * @property {string} value One of DEPLOYMENT_PHASES
+ * @property {string} label
+ * @property {"pending" | "running" | "success" | "failure" | "cancelled" | "skipped"} status
+ * @property {number | null} startedAt Epoch ms of the step's marker
+ * @property {number | null} finishedAt Null while the step is running
+ * @property {number} startLine 1-based line of the step's marker
+ * @property {number} endLine Last line of the step (inclusive)
+ * @property {import("../api/logs").LogEntry[]} logs
+ * @property {number} errorCount
+ */
+
+/**
+ * Split a deployment's logs into clone/install/build/upload steps using the
+ * structured phase markers (see getLogEventState). Lines before the first
+ * marker belong to the first step. Returns an empty list when the logs have
+ * no markers, e.g. for older deployments.
+ *
+ * @param {import("../api/logs").LogEntry[]} logs
+ * @param {string} state Current lifecycle state of the deployment
+ * @returns {BuildStep[]}
+ */
+export const groupLogsBySteps = (logs = [], state) => {
+  const status = normalizeStatus(state);
+  const started = [];
+
+  logs.forEach((log, index) => {
+    const phase = getLogEventState(log);
+    const rank = DEPLOYMENT_PHASES.indexOf(phase);
+    const current = started[started.length - 1];
+
+    // Phases only move forward; repeated or late markers stay in the
+    // current step
+    if (rank >= 0 && (!current || rank > current.rank)) {
+      if (current) current.endIndex = index - 1;
+      started.push({ rank, startIndex: index, endIndex: logs.length - 1 });
+    }
+  });
+
+  if (started.length === 0) return [];
+  started[0].startIndex = 0;
+
+  const isTerminal = isTerminalState(status);
+  const lastLogTime = toTime(logs[logs.length - 1]?.timestamp);
+
+  return BUILD_STEPS.map((step, rank) => {
+    const position = started.findIndex((s) => s.rank === rank);
+
+    if (position < 0) {
+      const reached = rank < started[started.length - 1].rank;
+      return {
+        ...step,
+        // Steps without a marker before the last one, or after it on a
+        // successful deployment, were skipped (e.g. no build for a static
+        // site); otherwise they haven't run (yet)
+        status:
+          reached || status === DEPLOYMENT_STATES.SUCCESS
+            ? "skipped"
+            : "pending",
+        startedAt: null,
+        finishedAt: null,
+        startLine: null,
+        endLine: null,
+        logs: [],
+        errorCount: 0,
+      };
+    }
+
+    const { startIndex, endIndex } = started[position];
+    const next = started[position + 1];
+    const isLast = !next;
+    const stepLogs = logs.slice(startIndex, endIndex + 1);
+
+    let stepStatus = "success";
+    if (isLast) {
+      stepStatus =
+        status === DEPLOYMENT_STATES.FAILURE
+          ? "failure"
+          : status === DEPLOYMENT_STATES.CANCELLED
+          ? "cancelled"
+          : isTerminal
+          ? "success"
+          : "running";
+    }
+
+    return {
+      ...step,
+      status: stepStatus,
+      startedAt: toTime(logs[started[position].startIndex]?.timestamp),
+      finishedAt: next
+        ? toTime(logs[next.startIndex]?.timestamp)
+        : isTerminal
+        ? lastLogTime
+        : null,
+      startLine: startIndex + 1,
+      endLine: endIndex + 1,
+      logs: stepLogs,
+      errorCount: stepLogs.filter((log) => parseLogEntry(log).level === "error")
+        .length,
+    };
+  });
+};
+
+/** Milliseconds a step took, or has taken so far while it's running. */
+export const getStepDuration = (step, now = Date.now()) => {
+  if (!step?.startedAt) return null;
+  const end = step.finishedAt ?? (step.status === "running" ? now : null);
+  return end === null ? null : Math.max(0, end - step.startedAt);
+};
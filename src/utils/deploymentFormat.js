@@ -0,0 +1,63 @@
+import { isTerminalState } from "./deploymentState";
+
+export const getStartedAt = (deployment) =>
+  deployment?.startedAt || deployment?.createdAt || null;
+
+// updatedAt is the last status change, so it's the finish time once the
+// deployment has reached a terminal state
+export const getFinishedAt = (deployment) =>
+  deployment?.finishedAt ||
+  (isTerminalState(deployment?.status) ? deployment?.updatedAt : null) ||
+  null;
+
+/** Milliseconds between start and finish, or until `now` while running. */
+export const getDeploymentDuration = (deployment, now = Date.now()) => {
+  const startedAt = getStartedAt(deployment);
+  if (!startedAt) return null;
+
+  const finishedAt = getFinishedAt(deployment);
+  const end = finishedAt ? new Date(finishedAt).getTime() : now;
+  const duration = end - new Date(startedAt).getTime();
+
+  return Number.isFinite(duration) && duration >= 0 ? duration : null;
+};
+
+export const formatDuration = (ms) => {
+  if (ms === null || ms === undefined) return "—";
+
+  const totalSeconds = Math.round(ms / 1000);
+  if (totalSeconds < 60) return `${totalSeconds}s`;
+
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = totalSeconds % 60;
+  if (minutes < 60) return `${minutes}m ${seconds}s`;
+
+  return `${Math.floor(minutes / 60)}h ${minutes % 60}m`;
+};
+
+export const formatTimestamp = (value) =>
+  value ? new Date(value).toLocaleString() : "—";
+
+export const getDeploymentTrigger = (deployment) => {
+  const trigger = deployment?.trigger || deployment?.triggeredBy;
+  if (!trigger) return "Manual";
+  return trigger.charAt(0).toUpperCase() + trigger.slice(1);
+};
+
+/** Commit info in whichever shape the API sent it. */
+export const getDeploymentCommit = (deployment) => {
+  const commit = deployment?.commit;
+
+  if (commit && typeof commit === "object") {
+    return { sha: commit.sha || commit.id || null, message: commit.message };
+  }
+
+  return {
+    sha: commit || deployment?.commitSha || null,
+    message: deployment?.commitMessage,
+  };
+};
+
+export const shortSha = (sha) => (sha ? sha.slice(0, 7) : "—");
+
+export const shortId = (id) => (id ? String(id).slice(0, 8) : "—");
@@ -0,0 +1,205 @@
+// Deployment lifecycle:
+//   queued → cloning → installing → building → uploading → success
+// with failure and cancelled reachable from any non-terminal state.
+// "running" is what the API reports when it doesn't know the exact phase.
+
+export const DEPLOYMENT_STATES = {
+  QUEUED: "queued",
+  RUNNING: "running",
+  CLONING: "cloning",
+  INSTALLING: "installing",
+  BUILDING: "building",
+  UPLOADING: "uploading",
+  SUCCESS: "success",
+  FAILURE: "failure",
+  CANCELLED: "cancelled",
+};
+
+const {
+  QUEUED,
+  RUNNING,
+  CLONING,
+  INSTALLING,
+  BUILDING,
+  UPLOADING,
+  SUCCESS,
+  FAILURE,
+  CANCELLED,
+} = DEPLOYMENT_STATES;
+
+export const DEPLOYMENT_PHASES = [CLONING, INSTALLING, BUILDING, UPLOADING];
+
+const TERMINAL_STATES = [SUCCESS, FAILURE, CANCELLED];
+
+// Position in the lifecycle; a deployment never moves backwards
+const RANK = {
+  [QUEUED]: 0,
+  [RUNNING]: 1,
+  [CLONING]: 2,
+  [INSTALLING]: 3,
+  [BUILDING]: 4,
+  [UPLOADING]: 5,
+  [SUCCESS]: 6,
+  [FAILURE]: 6,
+  [CANCELLED]: 6,
+};
+
+// Older API responses use different words
+const ALIASES = {
+  pending: QUEUED,
+  in_progress: RUNNING,
+  deploying: RUNNING,
+  clone: CLONING,
+  install: INSTALLING,
+  build: BUILDING,
+  upload: UPLOADING,
+  deployed: SUCCESS,
+  done: SUCCESS,
+  completed: SUCCESS,
+  failed: FAILURE,
+  error: FAILURE,
+  canceled: CANCELLED,
+};
+
+/**
+ * Map a raw status string from the API to a lifecycle state.
+ * Returns null for empty or unknown values.
+ */
+export const normalizeStatus = (status) => {
+  if (!status || typeof status !== "string") return null;
+
+  const key = status.trim().toLowerCase();
+  if (key in RANK) return key;
+  return ALIASES[key] || null;
+};
+
+export const isTerminalState = (state) =>
+  TERMINAL_STATES.includes(normalizeStatus(state));
+
+export const isActiveState = (state) => {
+  const normalized = normalizeStatus(state);
+  return Boolean(normalized) && !TERMINAL_STATES.includes(normalized);
+};
+
+/**
+ * Move from `current` to `next` if that's a legal transition. Terminal
+ * states are final and phases only move forward, so late or out-of-order
+ * updates are ignored.
+ */
+export const transition = (current, next) => {
+  const from = normalizeStatus(current);
+  const to = normalizeStatus(next);
+
+  if (!to) return from;
+  if (!from) return to;
+  if (TERMINAL_STATES.includes(from)) return from;
+  if (TERMINAL_STATES.includes(to)) return to;
+
+  return RANK[to] > RANK[from] ? to : from;
+};
+
+/**
+ * Read the lifecycle state a structured log event announces. Only explicit
+ * fields are trusted; the free-text message is never inspected, so a line
+ * like "npm install done" doesn't end the deployment.
+ */
+export const getLogEventState = (log) => {
+  if (!log || typeof log !== "object") return null;
+
+  if (log.type === "status" || log.event === "status") {
+    return normalizeStatus(log.status);
+  }
+
+  return normalizeStatus(log.phase || log.step);
+};
+
+/**
+ * Reducer for the state of a single deployment. Events:
+ *   { type: "status", status }  response from /project/:id/status
+ *   { type: "log", log }        structured log line
+ *   { type: "reset", status }   start following another deployment
+ */
+export const deploymentReducer = (state, event) => {
+  switch (event.type) {
+    case "status":
+      return transition(state, event.status);
+    case "log":
+      return transition(state, getLogEventState(event.log));
+    case "reset":
+      return normalizeStatus(event.status) || QUEUED;
+    default:
+      return state;
+  }
+};
+
+export const DEPLOYMENT_TARGETS = {
+  PRODUCTION: "production",
+  PREVIEW: "preview",
+};
+
+// Deployments without a target predate previews and went to production
+export const isPreviewDeployment = (deployment) =>
+  deployment?.target === DEPLOYMENT_TARGETS.PREVIEW;
+
+/** Production deployments of a project, newest first. */
+export const getProductionDeployments = (project) =>
+  (project?.deployments || []).filter((d) => !isPreviewDeployment(d));
+
+/**
+ * The deployment currently served on the project's domain. Falls back to the
+ * newest successful production deployment when the API doesn't say.
+ */
+export const getLiveDeploymentId = (project) =>
+  project?.liveDeploymentId ||
+  getProductionDeployments(project).find(
+    (d) => normalizeStatus(d.status) === SUCCESS
+  )?.id ||
+  null;
+
+/** Latest production deployment's status; previews don't count. */
+export const getProjectStatus = (project) =>
+  getProductionDeployments(project)[0]?.status;
+
+const LABELS = {
+  [QUEUED]: "Queued",
+  [RUNNING]: "Running",
+  [CLONING]: "Cloning repository",
+  [INSTALLING]: "Installing dependencies",
+  [BUILDING]: "Building",
+  [UPLOADING]: "Uploading",
+  [SUCCESS]: "Success",
+  [FAILURE]: "Failed",
+  [CANCELLED]: "Cancelled",
+};
+
+export const getStatusLabel = (status, fallback = "Not Started") =>
+  LABELS[normalizeStatus(status)] || fallback;
+
+export const getStatusColor = (status) => {
+  const state = normalizeStatus(status);
+
+  if (state === SUCCESS) return "text-green-500";
+  if (state === FAILURE) return "text-red-500";
+  if (state === QUEUED) return "text-blue-500";
+  if (isActiveState(state)) return "text-yellow-500";
+  return "text-gray-500";
+};
+
+/** Background class for a small status dot. */
+export const getStatusDotClass = (status) => {
+  const state = normalizeStatus(status);
+
+  if (state === SUCCESS) return "bg-green-500";
+  if (state === FAILURE) return "bg-red-500";
+  if (isActiveState(state)) return "bg-yellow-500";
+  return "bg-gray-500";
+};
+
+export const getStatusBadgeClass = (status) => {
+  const state = normalizeStatus(status);
+
+  if (state === SUCCESS) return "bg-green-100 text-green-800";
+  if (state === FAILURE) return "bg-red-100 text-red-800";
+  if (state === CANCELLED) return "bg-gray-100 text-gray-800";
+  return "bg-yellow-100 text-yellow-800";
+};
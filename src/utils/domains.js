@@ -0,0 +1,146 @@
+// Every project is served from a subdomain of ROOT_DOMAIN and optionally
+// from custom domains. Preview deployments get their own subdomain per
+// branch.
+
+export const ROOT_DOMAIN = "sujal.codes";
+
+// DNS labels are at most 63 characters
+const MAX_LABEL_LENGTH = 63;
+
+export const MIN_SUBDOMAIN_LENGTH = 3;
+
+// Used by the platform itself or too easy to mistake for it
+export const RESERVED_SUBDOMAINS = [
+  "admin",
+  "api",
+  "app",
+  "assets",
+  "auth",
+  "blog",
+  "cdn",
+  "dashboard",
+  "dev",
+  "docs",
+  "ftp",
+  "help",
+  "login",
+  "mail",
+  "ns1",
+  "ns2",
+  "preview",
+  "smtp",
+  "staging",
+  "static",
+  "status",
+  "support",
+  "www",
+];
+
+export const DOMAIN_PATTERN =
+  /^(?=.{1,253}$)([a-z0-9]([a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/i;
+
+/** Lowercase, dash-separated form of a branch name, safe for a DNS label. */
+export const slugify = (value = "") =>
+  value
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "");
+
+export const getProjectHost = (project) =>
+  project?.subDomain ? `${project.subDomain}.${ROOT_DOMAIN}` : null;
+
+/**
+ * Check a project subdomain (the "my-app" in my-app.sujal.codes). Returns an
+ * error message or null. Availability is checked separately by the API.
+ */
+export const validateSubdomain = (value = "") => {
+  if (!value) return "Subdomain is required";
+  if (value.length < MIN_SUBDOMAIN_LENGTH) {
+    return `Use at least ${MIN_SUBDOMAIN_LENGTH} characters`;
+  }
+  if (value.length > MAX_LABEL_LENGTH) {
+    return `Use at most ${MAX_LABEL_LENGTH} characters`;
+  }
+  if (!/^[a-z0-9-]+$/.test(value)) {
+    return "Use lowercase letters, digits and dashes";
+  }
+  if (value.startsWith("-") || value.endsWith("-")) {
+    return "Can't start or end with a dash";
+  }
+  // Preview hosts look like <subdomain>-git-<branch>
+  if (value.includes("--") || value.includes("-git-")) {
+    return 'Can\'t contain "--" or "-git-"';
+  }
+  if (RESERVED_SUBDOMAINS.includes(value)) {
+    return `${value} is reserved`;
+  }
+  return null;
+};
+
+/** Lowercase host without scheme, path or trailing dot. */
+export const normalizeDomain = (value = "") =>
+  value
+    .trim()
+    .toLowerCase()
+    .replace(/^https?:\/\//, "")
+    .replace(/[/?#].*$/, "")
+    .replace(/\.$/, "");
+
+/**
+ * Check a custom domain before adding it. Returns an error message or null.
+ */
+export const validateCustomDomain = (name, existing = []) => {
+  if (!name) return "Enter a domain";
+  if (!DOMAIN_PATTERN.test(name)) return "Enter a valid domain like mysite.com";
+  if (name === ROOT_DOMAIN || name.endsWith(`.${ROOT_DOMAIN}`)) {
+    return `Subdomains of ${ROOT_DOMAIN} are assigned automatically`;
+  }
+  if (existing.some((domain) => domain.name === name)) {
+    return "This domain is already added";
+  }
+  return null;
+};
+
+// A domain is only served once DNS points at us and it has a certificate
+export const isDomainActive = (domain) =>
+  domain?.verification === "verified" && domain?.ssl === "issued";
+
+/** The primary custom domain, if it's ready to serve traffic. */
+export const getPrimaryDomain = (project) =>
+  project?.domains?.find(
+    (domain) => domain.primary && isDomainActive(domain)
+  ) || null;
+
+/**
+ * Where the live site is reached: the primary custom domain once it's
+ * active, otherwise the project's subdomain.
+ */
+export const getProjectUrl = (project) => {
+  const host = getPrimaryDomain(project)?.name || getProjectHost(project);
+  return host ? `https://${host}` : null;
+};
+
+/** e.g. my-app-git-feature-login.sujal.codes */
+export const getPreviewHost = (project, branch) => {
+  if (!project?.subDomain || !branch) return null;
+
+  const label = `${project.subDomain}-git-${slugify(branch)}`
+    .slice(0, MAX_LABEL_LENGTH)
+    .replace(/-+$/, "");
+  return `${label}.${ROOT_DOMAIN}`;
+};
+
+/**
+ * Where a deployment can be visited. Prefers the URL the API reports and
+ * otherwise derives it from the project and branch.
+ */
+export const getDeploymentUrl = (project, deployment) => {
+  if (deployment?.url) return deployment.url;
+  if (deployment?.target !== "preview") return getProjectUrl(project);
+
+  const host = getPreviewHost(project, deployment.branch);
+  return host ? `https://${host}` : null;
+};
+
+/** URL without the scheme, for display. */
+export const displayUrl = (url) => url?.replace(/^https?:\/\//, "") || "";
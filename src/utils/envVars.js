@@ -0,0 +1,143 @@
+// Build-time environment variables. Each variable applies to one scope, or
+// to every scope when `scope` is "all", so the same key can carry a
+// different value in production and preview builds.
+
+export const ENV_SCOPES = [
+  { value: "all", label: "All" },
+  { value: "production", label: "Production" },
+  { value: "preview", label: "Preview" },
+];
+
+const KEY_PATTERN = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const MAX_KEY_LENGTH = 256;
+
+const scopesOverlap = (a, b) => a === "all" || b === "all" || a === b;
+
+/**
+ * @typedef {object} EnvVar
+ * @property {string} key
+ * @property {string} [value] Left empty for stored secrets that weren't
+ *   re-entered; the server keeps the existing value
+ * @property {"all" | "production" | "preview"} scope
+ * @property {boolean} secret Hidden after saving
+ * @property {boolean} [hasValue] A stored secret has a value on the server
+ */
+
+export const validateEnvKey = (key) => {
+  if (!key) return "Key is required";
+  if (key.length > MAX_KEY_LENGTH) return "Key is too long";
+  if (!KEY_PATTERN.test(key)) {
+    return "Use letters, digits and underscores, not starting with a digit";
+  }
+  return null;
+};
+
+/**
+ * Validate a list of variables. Returns a map from index to error message;
+ * empty when everything is valid.
+ */
+export const validateEnvVars = (envVars = []) => {
+  const errors = {};
+
+  envVars.forEach((envVar, index) => {
+    const keyError = validateEnvKey(envVar.key);
+    if (keyError) {
+      errors[index] = keyError;
+      return;
+    }
+
+    const duplicate = envVars.some(
+      (other, otherIndex) =>
+        otherIndex < index &&
+        other.key === envVar.key &&
+        scopesOverlap(other.scope, envVar.scope)
+    );
+    if (duplicate) {
+      errors[index] = `${envVar.key} is already set for this scope`;
+    }
+  });
+
+  return errors;
+};
+
+const unquote = (value) => {
+  const quote = value[0];
+  if ((quote === '"' || quote === "'") && value.endsWith(quote)) {
+    const inner = value.slice(1, -1);
+    return quote === '"' ? inner.replace(/\\n/g, "\n") : inner;
+  }
+  // Strip trailing comments from unquoted values
+  return value.replace(/\s+#.*$/, "");
+};
+
+/**
+ * Parse the contents of a .env file. Blank lines and comments are skipped,
+ * an `export ` prefix is allowed and quoted values are unwrapped.
+ *
+ * @returns {{ entries: {key: string, value: string}[], errors: string[] }}
+ */
+export const parseDotEnv = (text = "") => {
+  const entries = [];
+  const errors = [];
+
+  text.split(/\r?\n/).forEach((rawLine, index) => {
+    const line = rawLine.trim();
+    if (!line || line.startsWith("#")) return;
+
+    const match = line.match(/^(?:export\s+)?([^=\s]+)\s*=\s*(.*)$/);
+    if (!match) {
+      errors.push(`Line ${index + 1}: expected KEY=value`);
+      return;
+    }
+
+    const [, key, value] = match;
+    const keyError = validateEnvKey(key);
+    if (keyError) {
+      errors.push(`Line ${index + 1}: ${keyError}`);
+      return;
+    }
+
+    entries.push({ key, value: unquote(value.trim()) });
+  });
+
+  return { entries, errors };
+};
+
+/**
+ * Merge parsed entries into existing variables for the given scope.
+ * Keys that already exist in that exact scope get their value replaced.
+ */
+export const mergeEnvVars = (envVars, entries, scope = "all") => {
+  const merged = [...envVars];
+
+  entries.forEach(({ key, value }) => {
+    const index = merged.findIndex((v) => v.key === key && v.scope === scope);
+    if (index === -1) {
+      merged.push({ key, value, scope, secret: false });
+    } else {
+      merged[index] = { ...merged[index], value, hasValue: false };
+    }
+  });
+
+  return merged;
+};
+
+/** Shape sent to the API; untouched secrets are sent without a value. */
+export const serializeEnvVars = (envVars = []) =>
+  envVars.map(({ key, value, scope, secret, hasValue }) =>
+    secret && hasValue && !value
+      ? { key, scope, secret }
+      : { key, value: value ?? "", scope, secret: Boolean(secret) }
+  );
+
+/** Copy safe to keep in memory: secret values are dropped. */
+export const redactSecrets = (envVars = []) =>
+  envVars.map((envVar) =>
+    envVar.secret
+      ? {
+          ...envVar,
+          value: "",
+          hasValue: Boolean(envVar.value || envVar.hasValue),
+        }
+      : envVar
+  );
@@ -0,0 +1,216 @@
+// Rule-based hints for failed deployments. Each rule looks for a known error
+// in the build output and explains how to fix it, pointing at the project
+// setting to change.
+import { FRAMEWORKS, getFrameworkLabel } from "./buildConfig";
+import { matchNodeEnvironment } from "./frameworkDetection";
+import { parseLogEntry } from "./logFormat";
+import { ENVIRONMENTS } from "./projectFields";
+
+// Settings a hint can link to; "envVars" is the Environment Variables panel,
+// the rest are fields of the project edit form
+export const SETTING_LABELS = {
+  buildCommand: "Build Command",
+  installCommand: "Install Command",
+  packageManager: "Package Manager",
+  outputDirectory: "Output Directory",
+  environment: "Environment",
+  envVars: "Environment Variables",
+};
+
+const getEnvironmentLabel = (value) =>
+  ENVIRONMENTS.find((env) => env.value === value)?.label || value;
+
+const hasEnvVar = (project, key) =>
+  (project?.envVars || []).some((envVar) => envVar.key === key);
+
+const LOCKFILE_MANAGERS = [
+  { pattern: /ERR_PNPM_|pnpm-lock\.yaml/, packageManager: "pnpm" },
+  {
+    pattern: /yarn\.lock|Your lockfile needs to be updated/,
+    packageManager: "yarn",
+  },
+  {
+    pattern: /bun\.lockb?\b|lockfile had changes, but lockfile is frozen/,
+    packageManager: "bun",
+  },
+  { pattern: /package-lock\.json|npm ci/, packageManager: "npm" },
+];
+
+const RULES = [
+  {
+    id: "missing-build-script",
+    patterns: [
+      /Missing script:\s*"?([\w:.-]+)"?/,
+      /error Command "([\w:.-]+)" not found/,
+      /error: Script not found "([\w:.-]+)"/,
+    ],
+    diagnose: ([, script]) => ({
+      title: `No "${script}" script in package.json`,
+      message: `The build ran a script called "${script}", but package.json doesn't define it.`,
+      fix: `Add a "${script}" script to package.json, or change the Build Command to a script your project has. Sites without a build step can use the Plain HTML framework.`,
+      setting: "buildCommand",
+    }),
+  },
+  {
+    id: "node-version",
+    patterns: [
+      /The engine "node" is incompatible with this module\. Expected version "([^"]+)"/,
+      /required: \{ node: '([^']+)'/,
+      /requires? Node(?:\.js)?(?: version)?\s+((?:>=?|\^|~)\s*v?\d+(?:\.[\dx]+)*)/i,
+    ],
+    diagnose: ([, range], project) => {
+      const current = project?.environment;
+      const suggested = matchNodeEnvironment(range);
+      // Already on the matching image, so the version isn't the problem
+      if (suggested && suggested === current) return null;
+
+      return {
+        title: "Node.js version mismatch",
+        message: `The project needs Node ${range}${
+          current ? ` but builds with ${getEnvironmentLabel(current)}` : ""
+        }.`,
+        fix: suggested
+          ? `Switch the Environment to ${getEnvironmentLabel(suggested)}.`
+          : `None of the available environments satisfies Node ${range}; relax the "engines" field in package.json.`,
+        setting: "environment",
+      };
+    },
+  },
+  {
+    id: "out-of-memory",
+    patterns: [
+      /JavaScript heap out of memory/,
+      /Reached heap limit/,
+      /FATAL ERROR:.*Allocation failed/,
+      /\bENOMEM\b/,
+      /exit code 137\b|\bSIGKILL\b/,
+    ],
+    diagnose: (match, project) => ({
+      title: "The build ran out of memory",
+      message: "Node hit its memory limit while building.",
+      fix: hasEnvVar(project, "NODE_OPTIONS")
+        ? "Raise --max-old-space-size in NODE_OPTIONS, or reduce what the build bundles (e.g. disable source maps)."
+        : "Add NODE_OPTIONS=--max-old-space-size=4096 as an environment variable, or reduce what the build bundles (e.g. disable source maps).",
+      setting: "envVars",
+    }),
+  },
+  {
+    id: "missing-env-var",
+    patterns: [
+      /[Mm]issing (?:required )?(?:[Ee]nvironment|[Ee]nv) [Vv]ar(?:iable)?s?:?\s*["'`]?([A-Z_][A-Z0-9_]*)/,
+      /(?:[Ee]nvironment|[Ee]nv) [Vv]ar(?:iable)? ["'`]?([A-Z_][A-Z0-9_]*)["'`]? is (?:not set|missing|required|undefined)/,
+      /process\.env\.([A-Z_][A-Z0-9_]*)\b.*\b(?:undefined|not defined|not set|missing)\b/,
+    ],
+    diagnose: ([, key], project) => ({
+      title: `Environment variable ${key} is missing`,
+      message: hasEnvVar(project, key)
+        ? `${key} is defined for this project but wasn't available to this build.`
+        : `The build expects ${key}, but the project doesn't define it.`,
+      fix: hasEnvVar(project, key)
+        ? `Check that ${key} is scoped to this deployment's environment (production or preview) and redeploy.`
+        : `Add ${key} under Environment Variables and redeploy.`,
+      setting: "envVars",
+    }),
+  },
+  {
+    id: "lockfile-conflict",
+    patterns: [
+      /`npm ci` can only install packages when your package\.json and package-lock\.json/,
+      /ERR_PNPM_OUTDATED_LOCKFILE|ERR_PNPM_LOCKFILE_CONFIG_MISMATCH/,
+      /Your lockfile needs to be updated/,
+      /lockfile had changes, but lockfile is frozen/,
+      /[Ff]ound multiple lockfiles/,
+    ],
+    diagnose: (match, project, text) => {
+      const lockfileManager = LOCKFILE_MANAGERS.find(({ pattern }) =>
+        pattern.test(text)
+      )?.packageManager;
+      const mismatch =
+        lockfileManager &&
+        project?.packageManager &&
+        lockfileManager !== project.packageManager;
+
+      return {
+        title: "Lockfile is out of sync",
+        message: mismatch
+          ? `The repository has a ${lockfileManager} lockfile but the project installs with ${project.packageManager}.`
+          : "The lockfile doesn't match package.json, so a frozen install refused to continue.",
+        fix: mismatch
+          ? `Set the Package Manager to ${lockfileManager}, or remove the ${lockfileManager} lockfile from the repository.`
+          : "Run the install locally and commit the updated lockfile, or keep only one lockfile in the repository.",
+        setting: mismatch ? "packageManager" : "installCommand",
+      };
+    },
+  },
+  {
+    id: "output-directory",
+    patterns: [
+      /(?:[Oo]utput|[Pp]ublish) directory ["'`]?([^"'`\s]+?)["'`]? (?:does not exist|doesn't exist|not found|was not found|is empty)/,
+      /[Nn]o output directory named ["'`]?([^"'`\s]+?)["'`]? found/,
+    ],
+    diagnose: ([, directory], project) => {
+      const framework = FRAMEWORKS.find((f) => f.value === project?.framework);
+      const expected = framework?.outputDirectory;
+      const configured = project?.outputDirectory || directory;
+
+      return {
+        title: `Output directory "${configured}" not found`,
+        message: `The build finished but nothing was written to "${configured}".`,
+        fix:
+          expected && expected !== configured
+            ? `${getFrameworkLabel(
+                framework.value
+              )} writes to "${expected}"; set the Output Directory to "${expected}".`
+            : "Set the Output Directory to the folder your build writes to (relative to the root directory).",
+        setting: "outputDirectory",
+      };
+    },
+  },
+];
+
+/**
+ * @typedef {object} FailureHint
+ * @property {string} id
+ * @property {string} title
+ * @property {string} message
+ * @property {string} fix
+ * @property {keyof SETTING_LABELS} setting
+ * @property {number} line 1-based log line that matched
+ */
+
+/**
+ * Scan a failed deployment's logs for known problems. Returns at most one
+ * hint per rule, in rule order, for the first line each rule matches. A
+ * rule can decline to give a hint when the settings rule its cause out.
+ *
+ * @param {import("../api/logs").LogEntry[]} logs
+ * @param {object} [project] Used to tailor fixes to the current settings
+ * @returns {FailureHint[]}
+ */
+export const diagnoseFailure = (logs = [], project) => {
+  const found = new Map();
+
+  for (let i = 0; i < logs.length && found.size < RULES.length; i += 1) {
+    const { text } = parseLogEntry(logs[i]);
+
+    RULES.forEach((rule) => {
+      if (found.has(rule.id)) return;
+
+      for (const pattern of rule.patterns) {
+        const match = pattern.exec(text);
+        if (match) {
+          found.set(rule.id, { line: i + 1, match, text });
+          return;
+        }
+      }
+    });
+  }
+
+  return RULES.filter((rule) => found.has(rule.id))
+    .map((rule) => {
+      const { line, match, text } = found.get(rule.id);
+      const hint = rule.diagnose(match, project, text);
+      return hint && { id: rule.id, ...hint, line };
+    })
+    .filter(Boolean);
+};
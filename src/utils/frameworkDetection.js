@@ -0,0 +1,169 @@
+import { getBuildDefaults } from "./buildConfig";
+import { ENVIRONMENTS } from "./projectFields";
+
+// Checked in order: meta-frameworks before the bundler they're built on
+const FRAMEWORK_DEPENDENCIES = [
+  { framework: "nextjs", dependency: "next" },
+  { framework: "astro", dependency: "astro" },
+  { framework: "svelte", dependency: "@sveltejs/kit" },
+  { framework: "gatsby", dependency: "gatsby" },
+  { framework: "angular", dependency: "@angular/core" },
+  { framework: "create-react-app", dependency: "react-scripts" },
+  { framework: "vue", dependency: "@vue/cli-service" },
+  { framework: "vite", dependency: "vite" },
+];
+
+const LOCKFILES = [
+  { file: "pnpm-lock.yaml", packageManager: "pnpm" },
+  { file: "yarn.lock", packageManager: "yarn" },
+  { file: "bun.lockb", packageManager: "bun" },
+  { file: "bun.lock", packageManager: "bun" },
+  { file: "package-lock.json", packageManager: "npm" },
+];
+
+// Files worth reading besides the directory listing
+export const DETECTION_FILES = ["package.json", ".nvmrc", ".node-version"];
+
+const DEFAULT_ENVIRONMENT = "node:18";
+
+const parseJson = (text) => {
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+};
+
+const NODE_ENVIRONMENTS = ENVIRONMENTS.filter((env) =>
+  env.value.startsWith("node:")
+).map((env) => ({ ...env, major: Number(env.value.split(":")[1]) }));
+
+/**
+ * Pick the supported Node image for a version range such as "20.x",
+ * "^18.17", ">=16", "<20" or an .nvmrc value like "v20.11.0". Open-ended
+ * ranges get the newest image that satisfies them. Returns null when
+ * nothing fits.
+ */
+export const matchNodeEnvironment = (range) => {
+  const match = String(range || "").match(/([<>]=?)?\s*v?(\d+)(\.\d+)?/);
+  if (!match) return null;
+
+  const [, operator, majorText, minorText] = match;
+  const major = Number(majorText);
+  // "<20.5" still allows 20.0-20.4; "<20" and "<20.0" don't allow 20
+  const belowMajor = Number(minorText?.slice(1) || 0) > 0 ? major + 1 : major;
+  const candidates = NODE_ENVIRONMENTS.filter((env) =>
+    operator === ">"
+      ? env.major > major
+      : operator === ">="
+      ? env.major >= major
+      : operator === "<"
+      ? env.major < belowMajor
+      : operator === "<="
+      ? env.major <= major
+      : env.major === major
+  );
+
+  if (operator) return candidates[candidates.length - 1]?.value || null;
+
+  // Exact versions we don't offer fall through to the closest newer one
+  const fallback = NODE_ENVIRONMENTS.find((env) => env.major > major);
+  return (candidates[0] || fallback)?.value || null;
+};
+
+/**
+ * Work out build settings from the files at the root of an app.
+ *
+ * @param {object} input
+ * @param {string[]} input.fileNames Names of the files in the root directory
+ * @param {Record<string, string | null>} input.files Contents of the
+ *   DETECTION_FILES that exist
+ * @returns {{
+ *   framework: string,
+ *   packageManager: string,
+ *   settings: object,
+ *   sources: string[],
+ *   warnings: string[],
+ * } | null} null when there's nothing to go on
+ */
+export const detectFramework = ({ fileNames = [], files = {} }) => {
+  const names = new Set(fileNames);
+  const sources = [];
+  const warnings = [];
+
+  const packageJson = files["package.json"]
+    ? parseJson(files["package.json"])
+    : null;
+
+  if (!packageJson) {
+    if (!names.has("index.html")) return null;
+
+    return {
+      framework: "static",
+      packageManager: "npm",
+      settings: {
+        framework: "static",
+        ...getBuildDefaults("static", "npm"),
+      },
+      sources: ["index.html"],
+      warnings,
+    };
+  }
+
+  sources.push("package.json");
+  const dependencies = {
+    ...packageJson.dependencies,
+    ...packageJson.devDependencies,
+  };
+
+  const framework =
+    FRAMEWORK_DEPENDENCIES.find(({ dependency }) => dependency in dependencies)
+      ?.framework || "other";
+
+  // The packageManager field ("pnpm@8.15.0") wins over lockfiles
+  const lockfile = LOCKFILES.find(({ file }) => names.has(file));
+  const declaredManager = String(packageJson.packageManager || "").split(
+    "@"
+  )[0];
+  let packageManager = "npm";
+  if (["npm", "yarn", "pnpm", "bun"].includes(declaredManager)) {
+    packageManager = declaredManager;
+  } else if (lockfile) {
+    packageManager = lockfile.packageManager;
+    sources.push(lockfile.file);
+  }
+
+  const settings = {
+    framework,
+    packageManager,
+    ...getBuildDefaults(framework, packageManager),
+  };
+
+  if (!packageJson.scripts?.build) {
+    warnings.push("package.json has no build script");
+  }
+  if (framework === "nextjs") {
+    warnings.push('Next.js must be configured with output: "export"');
+  }
+  if (framework === "other") {
+    warnings.push("Couldn't recognise the framework; check the settings");
+  }
+
+  const nodeRange =
+    files[".nvmrc"]?.trim() ||
+    files[".node-version"]?.trim() ||
+    packageJson.engines?.node;
+  const environment = matchNodeEnvironment(nodeRange);
+  if (environment) {
+    settings.environment = environment;
+    if (files[".nvmrc"]) sources.push(".nvmrc");
+    else if (files[".node-version"]) sources.push(".node-version");
+  } else {
+    settings.environment = DEFAULT_ENVIRONMENT;
+    if (nodeRange) {
+      warnings.push(`Node ${nodeRange} isn't available; using Node 18`);
+    }
+  }
+
+  return { framework, packageManager, settings, sources, warnings };
+};
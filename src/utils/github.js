@@ -0,0 +1,60 @@
+import api from "../api";
+
+// Kept in sessionStorage so it survives the round trip to GitHub but not
+// the tab
+const STATE_KEY = "githubOAuth";
+
+/**
+ * "owner/repo" for a github.com repository URL, or null for anything else.
+ */
+export const parseGithubRepo = (gitUrl) => {
+  try {
+    const url = new URL(gitUrl);
+    if (url.hostname !== "github.com" && url.hostname !== "www.github.com") {
+      return null;
+    }
+    const [owner, repo] = url.pathname.split("/").filter(Boolean);
+    return owner && repo ? `${owner}/${repo.replace(/\.git$/, "")}` : null;
+  } catch {
+    return null;
+  }
+};
+
+export const getGithubRedirectUri = () =>
+  `${window.location.origin}/auth/github/callback`;
+
+/**
+ * Send the browser to GitHub. `returnTo` is where the callback page goes
+ * afterwards; `scope` asks for extra permissions such as private repos.
+ */
+export const startGithubOAuth = ({ returnTo = "/dashboard", scope } = {}) => {
+  const state = crypto.randomUUID();
+  sessionStorage.setItem(STATE_KEY, JSON.stringify({ state, returnTo }));
+
+  window.location.assign(
+    api.github.authorizeUrl({
+      redirectUri: getGithubRedirectUri(),
+      state,
+      scope,
+    })
+  );
+};
+
+/**
+ * Check the `state` GitHub echoed back against the one we stored. Returns
+ * the stored entry on a match and null otherwise. The entry is removed
+ * either way, so a callback URL can't be replayed.
+ *
+ * @returns {{ state: string, returnTo: string } | null}
+ */
+export const consumeGithubOAuthState = (state) => {
+  let stored = null;
+  try {
+    stored = JSON.parse(sessionStorage.getItem(STATE_KEY));
+  } catch {
+    stored = null;
+  }
+  sessionStorage.removeItem(STATE_KEY);
+
+  return stored && state && stored.state === state ? stored : null;
+};
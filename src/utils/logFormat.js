@@ -0,0 +1,311 @@
+// Helpers for displaying build logs: levels, ANSI colors and search.
+
+export const LOG_LEVELS = [
+  { value: "info", label: "INFO" },
+  { value: "warn", label: "WARN" },
+  { value: "error", label: "ERROR" },
+];
+
+const LEVEL_ALIASES = {
+  error: "error",
+  err: "error",
+  fatal: "error",
+  warn: "warn",
+  warning: "warn",
+};
+
+// Any CSI sequence: colors, but also the cursor moves npm uses for spinners.
+// ESC is added with fromCharCode to keep control characters out of the
+// regex literal.
+const ANSI_PATTERN = new RegExp(
+  `${String.fromCharCode(27)}\\[([0-9;?]*)([A-Za-z])`,
+  "g"
+);
+
+const ERROR_TEXT = /\b(error|failed|fatal)\b|npm ERR!|ERR_/i;
+const WARN_TEXT = /\bwarn(ing)?\b|npm WARN/i;
+
+export const getLogText = (log) => log?.message ?? log?.log ?? "";
+
+export const stripAnsi = (text = "") => text.replace(ANSI_PATTERN, "");
+
+/**
+ * "info", "warn" or "error". Uses the level the API sent and otherwise
+ * guesses from the text, since most build output arrives as plain stdout.
+ */
+export const getLogLevel = (log, text = stripAnsi(getLogText(log))) => {
+  const level = LEVEL_ALIASES[String(log?.level || "").toLowerCase()];
+  if (level) return level;
+  if (ERROR_TEXT.test(text)) return "error";
+  if (WARN_TEXT.test(text)) return "warn";
+  return "info";
+};
+
+const FOREGROUND = {
+  30: "text-gray-900",
+  31: "text-red-600",
+  32: "text-green-600",
+  33: "text-yellow-600",
+  34: "text-blue-600",
+  35: "text-purple-600",
+  36: "text-cyan-600",
+  37: "text-gray-300",
+  90: "text-gray-500",
+  91: "text-red-500",
+  92: "text-green-500",
+  93: "text-yellow-500",
+  94: "text-blue-500",
+  95: "text-purple-500",
+  96: "text-cyan-500",
+  97: "text-white",
+};
+
+const BACKGROUND = {
+  40: "bg-gray-900",
+  41: "bg-red-600",
+  42: "bg-green-600",
+  43: "bg-yellow-500",
+  44: "bg-blue-600",
+  45: "bg-purple-600",
+  46: "bg-cyan-600",
+  47: "bg-gray-200",
+  100: "bg-gray-500",
+  101: "bg-red-400",
+  102: "bg-green-400",
+  103: "bg-yellow-300",
+  104: "bg-blue-400",
+  105: "bg-purple-400",
+  106: "bg-cyan-400",
+  107: "bg-white",
+};
+
+const applySgr = (style, params) => {
+  const codes = params ? params.split(";").map(Number) : [0];
+  const next = { ...style };
+
+  for (let i = 0; i < codes.length; i += 1) {
+    const code = codes[i];
+
+    if (code === 0) {
+      next.fg = next.bg = null;
+      next.bold = next.dim = next.italic = next.underline = false;
+    } else if (code === 1) next.bold = true;
+    else if (code === 2) next.dim = true;
+    else if (code === 3) next.italic = true;
+    else if (code === 4) next.underline = true;
+    else if (code === 22) next.bold = next.dim = false;
+    else if (code === 23) next.italic = false;
+    else if (code === 24) next.underline = false;
+    else if (code === 39) next.fg = null;
+    else if (code === 49) next.bg = null;
+    else if (FOREGROUND[code]) next.fg = FOREGROUND[code];
+    else if (BACKGROUND[code]) next.bg = BACKGROUND[code];
+    else if (code === 38 || code === 48) {
+      // 256-color and truecolor aren't mapped; skip their arguments
+      i += codes[i + 1] === 5 ? 2 : codes[i + 1] === 2 ? 4 : 0;
+    }
+  }
+
+  return next;
+};
+
+const styleClasses = (style) =>
+  [
+    style.fg,
+    style.bg,
+    style.bold && "font-bold",
+    style.dim && "opacity-75",
+    style.italic && "italic",
+    style.underline && "underline",
+  ]
+    .filter(Boolean)
+    .join(" ");
+
+/**
+ * Split a line with ANSI escape codes into styled segments. Only SGR
+ * (color and text style) codes are rendered; other sequences are dropped.
+ *
+ * @returns {{ text: string, className: string }[]}
+ */
+export const parseAnsi = (text = "") => {
+  const segments = [];
+  let style = {};
+  let lastIndex = 0;
+
+  const push = (chunk) => {
+    if (!chunk) return;
+    const className = styleClasses(style);
+    const previous = segments[segments.length - 1];
+    if (previous && previous.className === className) {
+      previous.text += chunk;
+    } else {
+      segments.push({ text: chunk, className });
+    }
+  };
+
+  text.replace(ANSI_PATTERN, (match, params, command, offset) => {
+    push(text.slice(lastIndex, offset));
+    if (command === "m") style = applySgr(style, params);
+    lastIndex = offset + match.length;
+    return match;
+  });
+  push(text.slice(lastIndex));
+
+  return segments;
+};
+
+/**
+ * Build a search over plain log text. Returns null for an empty query and
+ * `{ error }` for a regex that doesn't compile.
+ *
+ * @returns {null | { error: string } | { test: (text: string) => boolean, ranges: (text: string) => [number, number][] }}
+ */
+export const createLogMatcher = (
+  query,
+  { regex = false, caseSensitive = false } = {}
+) => {
+  if (!query) return null;
+
+  let pattern;
+  try {
+    const source = regex ? query : query.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    pattern = new RegExp(source, caseSensitive ? "g" : "gi");
+  } catch (err) {
+    return { error: err.message };
+  }
+
+  return {
+    test: (text) => {
+      pattern.lastIndex = 0;
+      return pattern.test(text);
+    },
+    ranges: (text) => {
+      const ranges = [];
+      pattern.lastIndex = 0;
+      let match;
+      while ((match = pattern.exec(text))) {
+        // Empty matches (e.g. /a*/) would loop forever
+        if (match[0].length === 0) {
+          pattern.lastIndex += 1;
+          continue;
+        }
+        ranges.push([match.index, match.index + match[0].length]);
+      }
+      return ranges;
+    },
+  };
+};
+
+/**
+ * Split styled segments further so the given [start, end) ranges of the
+ * plain text can be highlighted.
+ *
+ * @returns {{ text: string, className: string, highlight: boolean }[]}
+ */
+export const highlightSegments = (segments, ranges = []) => {
+  if (ranges.length === 0) {
+    return segments.map((segment) => ({ ...segment, highlight: false }));
+  }
+
+  const result = [];
+  let offset = 0;
+
+  segments.forEach(({ text, className }) => {
+    const end = offset + text.length;
+    let position = offset;
+
+    ranges.forEach(([from, to]) => {
+      if (to <= position || from >= end) return;
+      const start = Math.max(from, position);
+      const stop = Math.min(to, end);
+
+      if (start > position) {
+        result.push({
+          text: text.slice(position - offset, start - offset),
+          className,
+          highlight: false,
+        });
+      }
+      result.push({
+        text: text.slice(start - offset, stop - offset),
+        className,
+        highlight: true,
+      });
+      position = stop;
+    });
+
+    if (position < end) {
+      result.push({
+        text: text.slice(position - offset),
+        className,
+        highlight: false,
+      });
+    }
+    offset = end;
+  });
+
+  return result;
+};
+
+// Parsing is the expensive part of rendering; log entries never change
+// once received, so cache per entry
+const parsedEntries = new WeakMap();
+
+/**
+ * Everything the log panel needs for one entry.
+ * @returns {{ text: string, segments: {text: string, className: string}[], level: string }}
+ */
+export const parseLogEntry = (log) => {
+  if (log && typeof log === "object" && parsedEntries.has(log)) {
+    return parsedEntries.get(log);
+  }
+
+  const raw = getLogText(log);
+  const text = stripAnsi(raw);
+  const parsed = {
+    text,
+    segments: parseAnsi(raw),
+    level: getLogLevel(log, text),
+  };
+
+  if (log && typeof log === "object") parsedEntries.set(log, parsed);
+  return parsed;
+};
+
+/**
+ * Plain text export: one line per entry with its ISO timestamp, ANSI codes
+ * removed.
+ */
+export const formatLogsAsText = (logs = []) =>
+  logs
+    .map((log) => {
+      const { text } = parseLogEntry(log);
+      const date = log?.timestamp ? new Date(log.timestamp) : null;
+      return date && !Number.isNaN(date.getTime())
+        ? `${date.toISOString()} ${text}`
+        : text;
+    })
+    .join("\n");
+
+export const formatLogsAsJson = (logs = []) => JSON.stringify(logs, null, 2);
+
+const LINE_RANGE_PATTERN = /^#?L(\d+)(?:-L(\d+))?$/;
+
+/**
+ * Parse a permalink hash like "#L120" or "#L120-L140" into a line range.
+ * @returns {{ start: number, end: number } | null}
+ */
+export const parseLineRange = (hash = "") => {
+  const match = LINE_RANGE_PATTERN.exec(hash);
+  if (!match) return null;
+
+  const first = Number(match[1]);
+  const last = match[2] ? Number(match[2]) : first;
+  if (first < 1 || last < 1) return null;
+
+  return { start: Math.min(first, last), end: Math.max(first, last) };
+};
+
+/** "L120" or "L120-L140", without the leading "#". */
+export const formatLineRange = ({ start, end }) =>
+  start === end ? `L${start}` : `L${start}-L${end}`;
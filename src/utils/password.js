@@ -0,0 +1,55 @@
+export const MIN_PASSWORD_LENGTH = 8;
+
+const STRENGTH_LEVELS = [
+  { label: "Too weak", color: "bg-red-500", text: "text-red-600" },
+  { label: "Weak", color: "bg-orange-500", text: "text-orange-600" },
+  { label: "Fair", color: "bg-yellow-500", text: "text-yellow-600" },
+  { label: "Good", color: "bg-blue-500", text: "text-blue-600" },
+  { label: "Strong", color: "bg-green-500", text: "text-green-600" },
+];
+
+/**
+ * Rough password strength from 0 (too weak) to 4 (strong), based on length
+ * and character variety. Anything under the minimum length scores 0.
+ *
+ * @returns {{ score: number, label: string, color: string, text: string }}
+ */
+export const getPasswordStrength = (password = "") => {
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    return { score: 0, ...STRENGTH_LEVELS[0] };
+  }
+
+  const variety = [/[a-z]/, /[A-Z]/, /\d/, /[^A-Za-z0-9]/].filter((pattern) =>
+    pattern.test(password)
+  ).length;
+
+  let score = variety >= 3 ? 2 : 1;
+  if (password.length >= 12) score += 1;
+  if (variety === 4) score += 1;
+
+  // Repeated characters or a single character class cap the score
+  if (/^(.)\1+$/.test(password) || variety === 1) score = 1;
+
+  score = Math.min(score, 4);
+  return { score, ...STRENGTH_LEVELS[score] };
+};
+
+/**
+ * Check a new password and its confirmation. Returns a map of field to
+ * error message; empty when both are valid.
+ */
+export const validateNewPassword = (password, confirmPassword) => {
+  const errors = {};
+
+  if (password.length < MIN_PASSWORD_LENGTH) {
+    errors.password = `Use at least ${MIN_PASSWORD_LENGTH} characters`;
+  } else if (getPasswordStrength(password).score < 2) {
+    errors.password = "Mix upper and lower case letters, numbers or symbols";
+  }
+
+  if (confirmPassword !== password) {
+    errors.confirmPassword = "Passwords don't match";
+  }
+
+  return errors;
+};
@@ -0,0 +1,208 @@
+import { validateEnvVars } from "./envVars";
+import { DOMAIN_PATTERN, validateSubdomain } from "./domains";
+import {
+  FRAMEWORKS,
+  PACKAGE_MANAGERS,
+  isNoBuildFramework,
+  validateRelativePath,
+} from "./buildConfig";
+
+// Fields that change what gets built. Editing any of them makes the live
+// deployment stale until the project is rebuilt.
+export const BUILD_FIELDS = [
+  "gitUrl",
+  "branch",
+  "framework",
+  "packageManager",
+  "rootDirectory",
+  "installCommand",
+  "buildCommand",
+  "outputDirectory",
+  "environment",
+  "envVars",
+];
+
+export const EDITABLE_FIELDS = [
+  "name",
+  "gitUrl",
+  "branch",
+  "framework",
+  "packageManager",
+  "rootDirectory",
+  "installCommand",
+  "buildCommand",
+  "outputDirectory",
+  "environment",
+  "domain",
+  "subDomain",
+  "envVars",
+  "previewsEnabled",
+];
+
+export const ENVIRONMENTS = [
+  { value: "node:16", label: "Node.js 16" },
+  { value: "node:18", label: "Node.js 18" },
+  { value: "node:20", label: "Node.js 20" },
+  { value: "python:3.10", label: "Python 3.10" },
+  { value: "python:3.11", label: "Python 3.11" },
+];
+
+// Git ref names: no spaces, "..", leading/trailing or doubled slashes
+const BRANCH_PATTERN = /^(?!\/)(?!.*\/\/)(?!.*\.\.)(?!.*\/$)[A-Za-z0-9._/-]+$/;
+
+const normalize = (value) => (typeof value === "string" ? value.trim() : value);
+
+/**
+ * Return only the editable fields whose value differs from the project.
+ * String values are trimmed before comparing.
+ */
+export const getChangedFields = (project, updates) => {
+  const changes = {};
+
+  EDITABLE_FIELDS.forEach((field) => {
+    if (!(field in updates)) return;
+
+    const next = normalize(updates[field]) ?? "";
+    const current = normalize(project?.[field]) ?? "";
+
+    // Lists such as envVars are compared by value; a missing flag is false
+    let changed = next !== current;
+    if (typeof next === "object") {
+      changed = JSON.stringify(next) !== JSON.stringify(current);
+    } else if (typeof next === "boolean") {
+      changed = next !== Boolean(current);
+    }
+
+    if (changed) {
+      changes[field] = next;
+    }
+  });
+
+  return changes;
+};
+
+export const hasBuildChanges = (changes) =>
+  BUILD_FIELDS.some((field) => field in changes);
+
+/**
+ * Validate the given project fields. Only fields present in `fields` are
+ * checked, so this works for both full forms and partial updates.
+ * Pass the saved project for partial updates so rules that depend on other
+ * fields (such as the framework) can see them.
+ * Returns an object mapping field name to error message (empty when valid).
+ */
+export const validateProjectFields = (fields, project = {}) => {
+  const errors = {};
+  // Plain HTML sites have nothing to install or build
+  const noBuild = isNoBuildFramework(fields.framework ?? project?.framework);
+
+  if ("name" in fields) {
+    const name = normalize(fields.name) || "";
+    if (!name) {
+      errors.name = "Project name is required";
+    } else if (name.length > 100) {
+      errors.name = "Project name must be 100 characters or fewer";
+    }
+  }
+
+  if ("gitUrl" in fields) {
+    const gitUrl = normalize(fields.gitUrl) || "";
+    let url = null;
+    try {
+      url = new URL(gitUrl);
+    } catch {
+      url = null;
+    }
+    if (!url || !["http:", "https:"].includes(url.protocol)) {
+      errors.gitUrl = "Enter a valid repository URL";
+    } else if (url.pathname.split("/").filter(Boolean).length < 2) {
+      errors.gitUrl = "Repository URL must include the owner and repo name";
+    }
+  }
+
+  if ("branch" in fields) {
+    const branch = normalize(fields.branch);
+    if (branch && !BRANCH_PATTERN.test(branch)) {
+      errors.branch = "Enter a valid branch name";
+    }
+  }
+
+  if (
+    "framework" in fields &&
+    !FRAMEWORKS.some((f) => f.value === fields.framework)
+  ) {
+    errors.framework = "Choose a supported framework";
+  }
+
+  if (
+    "packageManager" in fields &&
+    !PACKAGE_MANAGERS.some((pm) => pm.value === fields.packageManager)
+  ) {
+    errors.packageManager = "Choose npm, Yarn, pnpm or Bun";
+  }
+
+  ["rootDirectory", "outputDirectory"].forEach((field) => {
+    const pathError = field in fields && validateRelativePath(fields[field]);
+    if (pathError) {
+      errors[field] = pathError;
+    }
+  });
+
+  if ("outputDirectory" in fields && !errors.outputDirectory) {
+    const output = normalize(fields.outputDirectory);
+    if (!output || (output === "." && !noBuild)) {
+      errors.outputDirectory = "Output directory is required";
+    }
+  }
+
+  if ("installCommand" in fields) {
+    const installCommand = normalize(fields.installCommand) || "";
+    if (!installCommand && !noBuild) {
+      errors.installCommand = "Install command cannot be empty";
+    } else if (/[\r\n]/.test(installCommand)) {
+      errors.installCommand = "Install command must be a single line";
+    }
+  }
+
+  if ("buildCommand" in fields && !normalize(fields.buildCommand) && !noBuild) {
+    errors.buildCommand = "Build command cannot be empty";
+  }
+
+  if (
+    "environment" in fields &&
+    !ENVIRONMENTS.some((env) => env.value === fields.environment)
+  ) {
+    errors.environment = "Choose a supported environment";
+  }
+
+  if ("domain" in fields) {
+    const domain = normalize(fields.domain);
+    if (domain && !DOMAIN_PATTERN.test(domain)) {
+      errors.domain = "Enter a valid domain like mysite.com";
+    }
+  }
+
+  // Left empty on new projects to have one generated from the name. An
+  // unchanged subdomain isn't checked, so one predating the current rules
+  // doesn't block editing the other settings.
+  if ("subDomain" in fields) {
+    const subDomain = normalize(fields.subDomain);
+    const subDomainError =
+      (subDomain || project?.subDomain) &&
+      subDomain !== project?.subDomain &&
+      validateSubdomain(subDomain);
+    if (subDomainError) {
+      errors.subDomain = subDomainError;
+    }
+  }
+
+  if ("envVars" in fields) {
+    const envErrors = validateEnvVars(fields.envVars || []);
+    const [firstError] = Object.values(envErrors);
+    if (firstError) {
+      errors.envVars = firstError;
+    }
+  }
+
+  return errors;
+};
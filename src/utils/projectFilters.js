@@ -0,0 +1,108 @@
+import {
+  getProductionDeployments,
+  getProjectStatus,
+  isActiveState,
+  normalizeStatus,
+} from "./deploymentState";
+import { getStartedAt } from "./deploymentFormat";
+import { getProjectHost } from "./domains";
+
+// Dashboard view state, kept in the URL query:
+//   ?q=blog&status=running,failure&sort=name
+
+export const STATUS_FILTERS = [
+  { value: "running", label: "Running" },
+  { value: "success", label: "Success" },
+  { value: "failure", label: "Failed" },
+  { value: "none", label: "Not Started" },
+];
+
+export const SORT_OPTIONS = [
+  { value: "updated", label: "Last updated" },
+  { value: "name", label: "Name" },
+  { value: "deployed", label: "Last deploy" },
+];
+
+export const DEFAULT_SORT = "updated";
+
+/** Which status filter a project falls under. */
+export const getStatusGroup = (project) => {
+  const status = getProjectStatus(project);
+  const state = normalizeStatus(status);
+
+  if (!state) return "none";
+  if (isActiveState(state)) return "running";
+  if (state === "success") return "success";
+  // Cancelled builds left the site as it was, like a failure
+  return "failure";
+};
+
+/** Read the view state from URLSearchParams, dropping unknown values. */
+export const parseProjectQuery = (searchParams) => {
+  const statuses = (searchParams.get("status") || "")
+    .split(",")
+    .filter((value) => STATUS_FILTERS.some((f) => f.value === value));
+  const sort = searchParams.get("sort");
+
+  return {
+    query: searchParams.get("q") || "",
+    statuses,
+    sort: SORT_OPTIONS.some((o) => o.value === sort) ? sort : DEFAULT_SORT,
+  };
+};
+
+/** Query params for a view state; defaults are left out to keep URLs short. */
+export const toProjectQuery = ({ query, statuses, sort }) => {
+  const params = {};
+  if (query) params.q = query;
+  if (statuses?.length) params.status = statuses.join(",");
+  if (sort && sort !== DEFAULT_SORT) params.sort = sort;
+  return params;
+};
+
+const getTime = (value) => (value ? new Date(value).getTime() || 0 : 0);
+
+const getLastDeployTime = (project) =>
+  getTime(getStartedAt(getProductionDeployments(project)[0]));
+
+const COMPARATORS = {
+  updated: (a, b) =>
+    getTime(b.updatedAt || b.createdAt) - getTime(a.updatedAt || a.createdAt),
+  name: (a, b) =>
+    (a.name || "").localeCompare(b.name || "", undefined, {
+      sensitivity: "base",
+    }),
+  deployed: (a, b) => getLastDeployTime(b) - getLastDeployTime(a),
+};
+
+const matchesQuery = (project, query) => {
+  const haystack = [
+    project.name,
+    project.gitUrl,
+    getProjectHost(project),
+    project.domain,
+    ...(project.domains || []).map((domain) => domain.name),
+  ]
+    .filter(Boolean)
+    .join(" ")
+    .toLowerCase();
+
+  return query
+    .toLowerCase()
+    .split(/\s+/)
+    .filter(Boolean)
+    .every((term) => haystack.includes(term));
+};
+
+/**
+ * Projects matching the search and status filters, sorted. Searches the
+ * name, repository URL and domains.
+ */
+export const filterProjects = (projects = [], { query, statuses, sort }) =>
+  projects
+    .filter(
+      (project) =>
+        (!query || matchesQuery(project, query)) &&
+        (!statuses?.length || statuses.includes(getStatusGroup(project)))
+    )
+    .sort(COMPARATORS[sort] || COMPARATORS[DEFAULT_SORT]);
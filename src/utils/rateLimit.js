@@ -0,0 +1,10 @@
+/**
+ * Seconds to wait after a 429 response. Uses `retryAfter` from the error
+ * body when the server sends one.
+ */
+export const getRetryAfter = (err, fallback = 60) => {
+  const seconds = Number(err?.data?.retryAfter);
+  return Number.isFinite(seconds) && seconds > 0
+    ? Math.ceil(seconds)
+    : fallback;
+};
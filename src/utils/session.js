@@ -0,0 +1,78 @@
+// The session lives in localStorage so every open tab shares it. Other tabs
+// learn about changes through the `storage` event.
+
+export const TOKEN_KEY = "token";
+export const REFRESH_TOKEN_KEY = "refreshToken";
+export const USER_KEY = "user";
+
+export const SESSION_KEYS = [TOKEN_KEY, REFRESH_TOKEN_KEY, USER_KEY];
+
+/**
+ * @typedef {object} StoredSession
+ * @property {string | null} token Short-lived access token (JWT)
+ * @property {string | null} refreshToken Used to get a new access token
+ * @property {import("../api/auth").User | null} user
+ */
+
+const EMPTY_SESSION = { token: null, refreshToken: null, user: null };
+
+/**
+ * Decode a JWT payload without verifying it. Returns null for anything that
+ * isn't a well-formed token instead of throwing.
+ */
+export const decodeToken = (token) => {
+  if (!token || typeof token !== "string") return null;
+
+  try {
+    const payload = token.split(".")[1];
+    const json = atob(payload.replace(/-/g, "+").replace(/_/g, "/"));
+    const decoded = JSON.parse(json);
+    return decoded && typeof decoded === "object" ? decoded : null;
+  } catch {
+    return null;
+  }
+};
+
+/** Expiry of a token in milliseconds, or null if it doesn't have one. */
+export const getTokenExpiry = (token) => {
+  const exp = decodeToken(token)?.exp;
+  return typeof exp === "number" ? exp * 1000 : null;
+};
+
+const readUser = () => {
+  try {
+    return JSON.parse(localStorage.getItem(USER_KEY));
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Read the session from storage. Malformed tokens or a missing user count
+ * as signed out.
+ *
+ * @returns {StoredSession}
+ */
+export const loadSession = () => {
+  const token = localStorage.getItem(TOKEN_KEY);
+  const user = readUser();
+
+  if (!decodeToken(token) || !user) return EMPTY_SESSION;
+
+  return {
+    token,
+    refreshToken: localStorage.getItem(REFRESH_TOKEN_KEY),
+    user,
+  };
+};
+
+/** @param {Partial<StoredSession>} session */
+export const saveSession = ({ token, refreshToken, user }) => {
+  if (token) localStorage.setItem(TOKEN_KEY, token);
+  if (refreshToken) localStorage.setItem(REFRESH_TOKEN_KEY, refreshToken);
+  if (user) localStorage.setItem(USER_KEY, JSON.stringify(user));
+};
+
+export const clearSession = () => {
+  SESSION_KEYS.forEach((key) => localStorage.removeItem(key));
+};